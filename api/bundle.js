@@ -0,0 +1,12 @@
+// Copies the tree code and the trees into api/, so that the directory can be deployed on its own, for instance as
+// a Cloud Function: run `npm run bundle` here before deploying.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+fs.rmSync(path.join(__dirname, 'lib'), {recursive: true, force: true});
+fs.mkdirSync(path.join(__dirname, 'lib'));
+fs.copyFileSync(path.join(root, 'src/core.js'), path.join(__dirname, 'lib/core.js'));
+fs.rmSync(path.join(__dirname, 'airdrops'), {recursive: true, force: true});
+fs.cpSync(path.join(root, 'airdrops'), path.join(__dirname, 'airdrops'), {recursive: true});
+console.log('Copied src/core.js to api/lib and airdrops/ to api/airdrops');
@@ -1,27 +1,336 @@
 const fs = require('fs');
-const airdrop = Object.fromEntries(fs.readFileSync('./airdrop.json', {encoding: 'utf-8'})
-    .trimEnd()
-    .split('\n')
-    .map((line) => JSON.parse(line))
-    .map((entry) => [
-        entry.owner.toLowerCase(),
-        BigInt(entry.past_tokens.toString().split('.')[0] || 0)
-            + BigInt(entry.future_tokens.toString().split('.')[0] || 0)
-    ]));
+const path = require('path');
+const { ethers } = require('ethers');
+const { getVotingPower, createTransferIndex, INCLUDES } = require('./votes');
+
+// `npm run bundle` copies src/core.js and the trees into api/ for deploying the directory on its own; in the
+// repository they are read from where they are.
+const BUNDLED = fs.existsSync(path.join(__dirname, 'lib/core.js'));
+const { ShardedMerkleTree, NotEligible, CLAIM_FUNCTIONS, DEFAULT_LEAF_SCHEMA, encodeClaim } = require(BUNDLED ? './lib/core' : '../src/core');
+
+/**
+ * Reads a non-negative integer setting from the environment, or returns `defaultValue` if it is unset. Anything
+ * else is thrown at startup, rather than surfacing later as NaN limits or headers.
+ */
+function readIntegerSetting(name, defaultValue) {
+    const value = process.env[name];
+    if(value === undefined || value === '') {
+        return defaultValue;
+    }
+    if(!/^\d+$/.test(value)) {
+        throw new Error(`${name} must be a non-negative integer, not ${JSON.stringify(value)}`);
+    }
+    return parseInt(value, 10);
+}
+
+// Trees are read from subdirectories of TREE_DIR, laid out like airdrops/ in this repository; requests pick one
+// with `tree=<name>`, and get DEFAULT_TREE otherwise.
+const TREE_DIR = process.env.TREE_DIR || path.join(__dirname, BUNDLED ? 'airdrops' : '../airdrops');
+const DEFAULT_TREE = process.env.DEFAULT_TREE || 'mainnet';
+const TREE_NAME = /^[A-Za-z0-9_-]+$/;
+// The most addresses a single score request may ask for.
+const MAX_ADDRESSES = readIntegerSetting('MAX_ADDRESSES', 1000);
+// How long clients and CDNs may cache responses for, in seconds. Responses also carry the tree's root as an ETag.
+const CACHE_MAX_AGE = readIntegerSetting('CACHE_MAX_AGE', 300);
+// The JSON-RPC endpoint strategy=votes reads voting power from, and the contracts it reads, which default to
+// mainnet's; see ./votes.js.
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+const CONTRACTS = Object.fromEntries(Object.entries({
+    token: process.env.TOKEN_ADDRESS,
+    tokenLock: process.env.TOKEN_LOCK_ADDRESS,
+    multiDelegate: process.env.MULTI_DELEGATE_ADDRESS,
+    multiDelegateBlock: readIntegerSetting('MULTI_DELEGATE_BLOCK', undefined),
+    multicall: process.env.MULTICALL_ADDRESS,
+}).filter(([, value]) => value !== undefined && value !== ''));
+
+const trees = {};
+let provider;
+// ERC20MultiDelegate transfers in confirmed blocks seen by earlier requests, so each request only fetches logs for
+// newer blocks.
+const transferIndex = createTransferIndex();
+
+/**
+ * Returns a promise for the named tree in TREE_DIR, or for undefined if there is no such tree. Trees are cached
+ * once loaded, and their shards are read as they are first needed.
+ */
+function getTree(name = DEFAULT_TREE) {
+    if(typeof name !== 'string' || !TREE_NAME.test(name)) {
+        return Promise.resolve(undefined);
+    }
+    if(trees[name] === undefined) {
+        const directory = path.join(TREE_DIR, name);
+        trees[name] = ShardedMerkleTree.fromLoader(async (file) => {
+            try {
+                return JSON.parse(await fs.promises.readFile(path.join(directory, `${file}.json`), {encoding: 'utf-8'}));
+            } catch(e) {
+                if(e.code === 'ENOENT') {
+                    if(file === 'root') {
+                        throw e;
+                    }
+                    // Shards are only written when they have entries, so a missing one is empty.
+                    return null;
+                }
+                throw e;
+            }
+        }).catch((e) => {
+            // Failed loads are not cached, so a later request can retry.
+            delete trees[name];
+            if(e.code === 'ENOENT') {
+                return undefined;
+            }
+            throw e;
+        });
+    }
+    return trees[name];
+}
+
+/**
+ * A problem with a request, reported to the client as `{error: {code, message, ...details}}` with `status`.
+ */
+class RequestError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function checkAddress(name, value) {
+    if(value === undefined || value === '') {
+        throw new RequestError(400, 'missing_parameter', `${name} is required`, {parameter: name});
+    }
+    if(typeof value !== 'string' || !ethers.utils.isAddress(value)) {
+        throw new RequestError(400, 'invalid_address', `${name} is not a valid address`, {parameter: name, addresses: [value]});
+    }
+    return value;
+}
+
+/**
+ * Reads the `addresses` parameter, which may be a comma separated string, as in query strings, or an array, as in
+ * JSON bodies and repeated query parameters.
+ */
+function getAddresses(params) {
+    const { addresses } = params;
+    if(addresses === undefined || addresses === '') {
+        throw new RequestError(400, 'missing_parameter', 'addresses is required', {parameter: 'addresses'});
+    }
+    const list = [].concat(addresses).flatMap((value) => typeof value === 'string' ? value.split(',').map((address) => address.trim()) : [value]);
+    if(list.length > MAX_ADDRESSES) {
+        throw new RequestError(400, 'too_many_addresses', `At most ${MAX_ADDRESSES} addresses can be scored at once, not ${list.length}`, {limit: MAX_ADDRESSES});
+    }
+    const invalid = list.filter((address) => typeof address !== 'string' || !ethers.utils.isAddress(address));
+    if(invalid.length > 0) {
+        throw new RequestError(400, 'invalid_address', `${invalid.length} of the addresses are not valid`, {parameter: 'addresses', addresses: invalid});
+    }
+    return list;
+}
+
+async function getScores(tree, addresses) {
+    return Promise.all(addresses.map(async (address) => {
+        const entry = await tree.getEntryAsync(address);
+        return {address, score: entry === undefined ? "0" : entry.balance.toString()};
+    }));
+}
+
+function getProvider() {
+    if(provider === undefined) {
+        provider = new ethers.providers.StaticJsonRpcProvider(RPC_URL);
+    }
+    return provider;
+}
+
+/**
+ * Reads the `block` parameter, a block number, and the `include` parameter, a comma separated list or an array of
+ * the `INCLUDES` in ./votes.js.
+ */
+function getVotesParams(params) {
+    const { block, include = [] } = params;
+    if(block === undefined || block === '') {
+        throw new RequestError(400, 'missing_parameter', 'block is required for strategy=votes', {parameter: 'block'});
+    }
+    if(!/^\d+$/.test(String(block))) {
+        throw new RequestError(400, 'invalid_block', 'block must be a block number', {parameter: 'block'});
+    }
+    const list = [].concat(include).flatMap((value) => typeof value === 'string' ? value.split(',').map((item) => item.trim().toLowerCase()) : [value]).filter((item) => item !== '');
+    const unknown = list.filter((item) => !INCLUDES.includes(item));
+    if(unknown.length > 0) {
+        throw new RequestError(400, 'invalid_parameter', `Unknown include ${unknown.join(', ')}; expected any of ${INCLUDES.join(', ')}`, {parameter: 'include'});
+    }
+    return {block: parseInt(block, 10), include: list};
+}
+
+// Each strategy scores a list of addresses. `context.getTree()` loads the requested tree.
+const STRATEGIES = {
+    // The address's balance in the tree.
+    balance: async (params, context, addresses) => getScores(await context.getTree(), addresses),
+    // The address's voting power at `block`, read from the chain; see `getVotingPower` in ./votes.js.
+    votes: async (params, context, addresses) => {
+        const { block, include } = getVotesParams(params);
+        let power;
+        try {
+            power = await getVotingPower(getProvider(), addresses, block, {...CONTRACTS, include, transferIndex});
+        } catch(e) {
+            if(e instanceof RangeError) {
+                throw new RequestError(400, 'invalid_block', e.message, {parameter: 'block'});
+            }
+            throw e;
+        }
+        return addresses.map((address, i) => ({address, score: power[i].toString()}));
+    },
+};
+
+/**
+ * Returns the claim for `address`: its entry, proof and claim index, and calldata for `contract.claimTokens`. The
+ * claim contracts only verify default leaves, so trees with another leaf schema get no calldata and a warning.
+ */
+async function getClaim(tree, address, contract, delegate) {
+    const result = await tree.getProofAsync(address);
+    if(result instanceof NotEligible) {
+        return result;
+    }
+    const [entry, proof] = result;
+    const claim = {
+        address,
+        root: tree.root,
+        leafSchema: tree.leafSchema,
+        entry,
+        proof,
+        index: await tree.getClaimIndexAsync(address),
+        contract,
+        calldata: null,
+    };
+    if(tree.leafSchema !== DEFAULT_LEAF_SCHEMA) {
+        claim.warning = `This tree uses the ${tree.leafSchema} leaf schema, but ${contract} only verifies ${DEFAULT_LEAF_SCHEMA} leaves`;
+    } else {
+        claim.calldata = encodeClaim(contract, address, entry, proof, delegate);
+    }
+    return claim;
+}
+
+// Each mode takes the request parameters and a context whose `getTree()` loads the requested tree, and returns the
+// response body or throws a RequestError.
+const MODES = {
+    // addresses=<address>,...[&strategy=balance|votes] returns `{score: [{address, score}]}`; see STRATEGIES.
+    score: async (params, context) => {
+        const addresses = getAddresses(params);
+        const { strategy = 'balance' } = params;
+        if(!Object.keys(STRATEGIES).includes(strategy)) {
+            throw new RequestError(400, 'unknown_strategy', `Unknown strategy ${strategy}; expected one of ${Object.keys(STRATEGIES).join(', ')}`, {parameter: 'strategy'});
+        }
+        return {score: await STRATEGIES[strategy](params, context, addresses)};
+    },
+    // mode=proof&address=<address>[&contract=ENSToken|MerkleAirdrop][&delegate=<address>] returns the address's
+    // claim, or 404 if it is not in the tree.
+    proof: async (params, context) => {
+        const { contract = 'ENSToken', delegate } = params;
+        const address = checkAddress('address', params.address);
+        if(!Object.keys(CLAIM_FUNCTIONS).includes(contract)) {
+            throw new RequestError(400, 'unknown_contract', `Unknown contract ${contract}; expected one of ${Object.keys(CLAIM_FUNCTIONS).join(', ')}`, {parameter: 'contract'});
+        }
+        if(delegate !== undefined) {
+            if(contract !== 'ENSToken') {
+                throw new RequestError(400, 'invalid_parameter', 'delegate only applies to ENSToken claims', {parameter: 'delegate'});
+            }
+            checkAddress('delegate', delegate);
+        }
+        const claim = await getClaim(await context.getTree(), address, contract, delegate);
+        if(claim instanceof NotEligible) {
+            throw new RequestError(404, 'not_eligible', `${address} is not eligible in this tree`, {address, eligible: false});
+        }
+        return claim;
+    },
+};
+
+/**
+ * Returns the request's parameters: the query string, overridden by the JSON body of POST requests.
+ */
+function getParams(req) {
+    if(req.method !== 'POST' || req.body === undefined || req.body === '') {
+        return req.query;
+    }
+    let body = req.body;
+    if(typeof body === 'string' || Buffer.isBuffer(body)) {
+        try {
+            body = JSON.parse(body.toString());
+        } catch(e) {
+            throw new RequestError(400, 'invalid_body', 'The request body is not valid JSON');
+        }
+    }
+    if(typeof body !== 'object' || body === null || Array.isArray(body)) {
+        throw new RequestError(400, 'invalid_body', 'The request body must be a JSON object');
+    }
+    return {...req.query, ...body};
+}
+
+// Responses for a URL only change when its tree does, so the tree's root serves as the ETag. Responses that do not
+// use a tree read the chain at a past block, and are only given a maximum age.
+function setCacheHeaders(res, tree) {
+    if(tree !== undefined) {
+        res.set('ETag', `"${tree.root}"`);
+    }
+    res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE}`);
+}
+
+function isNotModified(req, tree) {
+    const match = req.headers?.['if-none-match'];
+    const etag = `"${tree.root}"`;
+    return req.method === 'GET' && match !== undefined && match.split(',').some((tag) => ['*', etag, `W/${etag}`].includes(tag.trim()));
+}
 
 /**
  * @param {!express:Request} req HTTP request context.
  * @param {!express:Response} res HTTP response context.
  */
-exports.serve = (req, res) => {
+exports.serve = async (req, res) => {
     res.set('Access-Control-Allow-Origin', '*');
-    const addresses = req.query.addresses.split(',');
-    const results = addresses.map((address) => {
-        const value = airdrop[address?.toLowerCase()];
-        if(value === undefined) {
-            return {address, score: "0"};
-        }
-        return {address, score: value?.toString()};
-    });
-    res.status(200).json({score: results});
+    if(req.method === 'OPTIONS') {
+        res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.set('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+        res.set('Access-Control-Max-Age', '86400');
+        res.status(204).send('');
+        return;
+    }
+    let params;
+    const context = {
+        getTree: async () => {
+            context.tree = await getTree(params.tree);
+            if(context.tree === undefined) {
+                throw new RequestError(404, 'unknown_tree', `Unknown tree ${params.tree ?? DEFAULT_TREE}`, {parameter: 'tree'});
+            }
+            return context.tree;
+        },
+    };
+    try {
+        if(req.method !== undefined && !['GET', 'POST'].includes(req.method)) {
+            res.set('Allow', 'GET, POST, OPTIONS');
+            throw new RequestError(405, 'method_not_allowed', `${req.method} is not supported`);
+        }
+        params = getParams(req);
+        const { mode = 'score' } = params;
+        if(!Object.keys(MODES).includes(mode)) {
+            throw new RequestError(400, 'unknown_mode', `Unknown mode ${mode}; expected one of ${Object.keys(MODES).join(', ')}`, {parameter: 'mode'});
+        }
+        const body = await MODES[mode](params, context);
+        setCacheHeaders(res, context.tree);
+        if(context.tree !== undefined && isNotModified(req, context.tree)) {
+            res.status(304).send('');
+            return;
+        }
+        res.status(200).json(body);
+    } catch(e) {
+        if(!(e instanceof RequestError)) {
+            console.error(e);
+            e = new RequestError(500, 'internal_error', 'Internal error');
+        }
+        if(e.code === 'not_eligible') {
+            // Ineligibility only changes with the tree, so it is cached like a successful response.
+            setCacheHeaders(res, context.tree);
+        } else {
+            res.set('Cache-Control', 'no-store');
+        }
+        res.status(e.status).json({error: {code: e.code, message: e.message, ...e.details}});
+    }
 };
+
+exports.getTree = getTree;
@@ -0,0 +1,175 @@
+// A standalone HTTP server for the API, for local development and containers:
+//
+//   node api/server.js [--port 8080] [--tree-dir airdrops]
+//
+// The port and tree directory can also be set with PORT and TREE_DIR; see ./index.js for the other settings.
+const http = require('http');
+
+// The largest request body accepted, in bytes.
+const MAX_BODY_BYTES = 1024 * 1024;
+// How long to keep discarding an oversized body after rejecting it before closing the connection, in milliseconds.
+const DRAIN_TIMEOUT = 5000;
+
+// Paths served by the API handler, with the mode each one defaults to.
+const ROUTES = {
+    '/': {},
+    '/score': {mode: 'score'},
+    '/proof': {mode: 'proof'},
+};
+
+// Wraps a node response in the subset of the express response API the handler uses.
+function wrapResponse(response) {
+    const res = {
+        set: (name, value) => {
+            response.setHeader(name, value);
+            return res;
+        },
+        status: (status) => {
+            response.statusCode = status;
+            return res;
+        },
+        json: (body) => {
+            response.setHeader('Content-Type', 'application/json; charset=utf-8');
+            response.end(JSON.stringify(body));
+            return res;
+        },
+        send: (body) => {
+            response.end(body);
+            return res;
+        },
+    };
+    return res;
+}
+
+// Reads query parameters into an object, as express does; repeated parameters become arrays.
+function parseQuery(searchParams) {
+    const query = {};
+    for(const [key, value] of searchParams) {
+        query[key] = query[key] === undefined ? value : [].concat(query[key], value);
+    }
+    return query;
+}
+
+// Parses a request target, or returns undefined if it is not a valid URL.
+function parseUrl(target) {
+    try {
+        return new URL(target, 'http://localhost');
+    } catch(e) {
+        return undefined;
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        request.on('data', (chunk) => {
+            length += chunk.length;
+            if(length > MAX_BODY_BYTES) {
+                // Stop reading, but leave the connection open so the 413 can be sent.
+                request.removeAllListeners('data');
+                request.pause();
+                reject(Object.assign(new Error('Request body too large'), {status: 413}));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Creates an HTTP server for the API. Besides the API routes, it serves `/healthz`, which succeeds while the
+ * process is up, and `/readyz`, which succeeds once the default tree can be loaded.
+ * @param options.log A function called with a line for each request; defaults to `console.log`.
+ */
+function createServer({ log = console.log } = {}) {
+    // Required here so that TREE_DIR and the other settings can be set first.
+    const { serve, getTree } = require('.');
+
+    return http.createServer(async (request, response) => {
+        const started = Date.now();
+        response.on('finish', () => {
+            log(`${request.method} ${request.url} ${response.statusCode} ${Date.now() - started}ms`);
+        });
+        const res = wrapResponse(response);
+        const url = parseUrl(request.url);
+        try {
+            if(url === undefined) {
+                res.status(400).json({error: {code: 'invalid_url', message: 'The request target is not a valid URL'}});
+                return;
+            }
+            if(url.pathname === '/healthz') {
+                res.status(200).json({status: 'ok'});
+                return;
+            }
+            if(url.pathname === '/readyz') {
+                const tree = await getTree();
+                if(tree === undefined) {
+                    res.status(503).json({status: 'unavailable', error: 'The default tree does not exist'});
+                } else {
+                    res.status(200).json({status: 'ready', root: tree.root});
+                }
+                return;
+            }
+            const route = ROUTES[url.pathname];
+            if(route === undefined) {
+                res.status(404).json({error: {code: 'not_found', message: `No route for ${url.pathname}`}});
+                return;
+            }
+            const body = request.method === 'POST' ? await readBody(request) : undefined;
+            await serve({
+                method: request.method,
+                headers: request.headers,
+                query: {...route, ...parseQuery(url.searchParams)},
+                body,
+            }, res);
+        } catch(e) {
+            if(e.status === 413) {
+                // Closing a socket with unread data resets it, which could lose the response, so the rest of the
+                // body is discarded until the response has been sent and the connection closes.
+                response.on('finish', () => {
+                    request.resume();
+                    setTimeout(() => request.destroy(), DRAIN_TIMEOUT).unref();
+                });
+                res.set('Connection', 'close');
+                res.status(413).json({error: {code: 'body_too_large', message: `Request bodies are limited to ${MAX_BODY_BYTES} bytes`}});
+                return;
+            }
+            console.error(e);
+            if(url.pathname === '/readyz') {
+                res.status(503).json({status: 'unavailable', error: e.message});
+            } else if(!response.headersSent) {
+                res.status(500).json({error: {code: 'internal_error', message: 'Internal error'}});
+            }
+        }
+    });
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for(let i = 0; i < argv.length; i += 2) {
+        const [flag, value] = [argv[i], argv[i + 1]];
+        if(!['--port', '--tree-dir'].includes(flag) || value === undefined) {
+            throw new Error(`Usage: node api/server.js [--port <port>] [--tree-dir <directory>]`);
+        }
+        options[flag.slice(2)] = value;
+    }
+    return options;
+}
+
+if(require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if(options['tree-dir'] !== undefined) {
+        process.env.TREE_DIR = require('path').resolve(options['tree-dir']);
+    }
+    const port = parseInt(options.port || process.env.PORT || '8080', 10);
+    const server = createServer();
+    server.listen(port, () => {
+        console.log(`Listening on port ${port}`);
+    });
+    process.on('SIGTERM', () => server.close());
+}
+
+module.exports = { createServer };
@@ -0,0 +1,195 @@
+const { ethers } = require('ethers');
+
+// The contracts voting power is read from on mainnet. Multicall3 has the same address on most networks.
+const MAINNET = {
+    token: '0xC18360217D8F7Ab5e7c516566761Ea12Ce7F9D72',
+    tokenLock: '0xd7A029Db2585553978190dB5E85eC724Aa4dF23f',
+    multiDelegate: '0x3CA5CCC96648d016D41c5aF40eED82202BD019cc',
+    multiDelegateBlock: 22140079,
+    multicall: '0xcA11bde05977b3631167028862bE2a173976CA11',
+};
+
+// Sources of voting power that can be added to an address's `getPastVotes`.
+const INCLUDES = ['multidelegate', 'tokenlock'];
+
+const token = new ethers.utils.Interface([
+    'function getPastVotes(address account, uint256 blockNumber) view returns (uint256)',
+]);
+const tokenLock = new ethers.utils.Interface([
+    'function lockedAmounts(address) view returns (uint256)',
+    'function claimedAmounts(address) view returns (uint256)',
+]);
+const multiDelegate = new ethers.utils.Interface([
+    'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+]);
+const multicall = new ethers.utils.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+
+/**
+ * Makes view calls through Multicall3, `batchSize` at a time.
+ * @param calls A list of `[contractInterface, target, functionName, args]`.
+ * @returns The decoded result of each call.
+ */
+async function aggregate(provider, options, calls, blockTag) {
+    const results = [];
+    for(let i = 0; i < calls.length; i += options.batchSize) {
+        const batch = calls.slice(i, i + options.batchSize);
+        const data = multicall.encodeFunctionData('aggregate3', [
+            batch.map(([iface, target, name, args]) => ({target, allowFailure: false, callData: iface.encodeFunctionData(name, args)})),
+        ]);
+        const [returnData] = multicall.decodeFunctionResult('aggregate3', await provider.call({to: options.multicall, data}, blockTag));
+        results.push(...returnData.map(({ returnData }, j) => batch[j][0].decodeFunctionResult(batch[j][2], returnData)));
+    }
+    return results;
+}
+
+/**
+ * Creates an index of `ERC20MultiDelegate` transfers that `getVotingPower` can reuse between calls, so each call only
+ * fetches logs for blocks no earlier call has. An index belongs to one provider and set of contracts, and keeps
+ * every transfer it has seen in memory. It only holds blocks at least `confirmations` behind the latest block, which
+ * are assumed not to be reorganised; newer blocks are fetched on every call.
+ */
+function createTransferIndex() {
+    return {scanned: undefined, received: new Map(), update: Promise.resolve()};
+}
+
+/**
+ * Calls `received(to, id, blockNumber)` for each `ERC20MultiDelegate` token ID transferred from block `from` to block
+ * `to`, querying at most `logBlockRange` blocks at a time.
+ * @param recipients If set, only transfers to these addresses are fetched.
+ */
+async function scanTransfers(provider, options, from, to, recipients, received) {
+    const topics = [['TransferSingle', 'TransferBatch'].map((name) => multiDelegate.getEventTopic(name))];
+    if(recipients !== undefined) {
+        topics.push(null, null, recipients.map((address) => ethers.utils.hexZeroPad(address, 32)));
+    }
+    for(let start = from; start <= to; start += options.logBlockRange) {
+        const logs = await provider.getLogs({
+            address: options.multiDelegate,
+            topics,
+            fromBlock: start,
+            toBlock: Math.min(start + options.logBlockRange - 1, to),
+        });
+        for(const log of logs) {
+            const { name, args } = multiDelegate.parseLog(log);
+            for(const id of name === 'TransferSingle' ? [args.id] : args.ids) {
+                received(args.to.toLowerCase(), id.toHexString(), log.blockNumber);
+            }
+        }
+    }
+}
+
+/**
+ * Brings `options.transferIndex` up to `block`. Updates are queued, so concurrent calls never fetch the same blocks,
+ * and a failed update leaves the index as it was for the next call to retry.
+ */
+async function updateTransferIndex(provider, options, block) {
+    const index = options.transferIndex;
+    const update = index.update.then(async () => {
+        const from = index.scanned === undefined ? options.multiDelegateBlock : index.scanned + 1;
+        const transfers = [];
+        await scanTransfers(provider, options, from, block, undefined, (...transfer) => transfers.push(transfer));
+        for(const [to, id, blockNumber] of transfers) {
+            if(!index.received.has(to)) {
+                index.received.set(to, []);
+            }
+            index.received.get(to).push({id, blockNumber});
+        }
+        index.scanned = Math.max(block, from - 1);
+    });
+    index.update = update.catch(() => {});
+    await update;
+}
+
+/**
+ * Finds the `ERC20MultiDelegate` token IDs, which are delegate addresses, that each address has received up to
+ * `block`. Without `options.transferIndex`, this fetches logs for every block since `options.multiDelegateBlock`,
+ * which takes one request per `logBlockRange` blocks.
+ * @param latest The latest block number, which decides how much of the index can be brought up to date.
+ * @returns A map from lowercase address to a set of token IDs.
+ */
+async function fetchMultiDelegateIds(provider, options, addresses, block, latest) {
+    const ids = new Map(addresses.map((address) => [address.toLowerCase(), new Set()]));
+    const received = (to, id) => ids.get(to).add(id);
+    if(options.transferIndex === undefined) {
+        await scanTransfers(provider, options, options.multiDelegateBlock, block, addresses, received);
+        return ids;
+    }
+    const index = options.transferIndex;
+    await updateTransferIndex(provider, options, Math.min(block, latest - options.confirmations));
+    // Read together with the transfers, since a concurrent call may move it on.
+    const scanned = index.scanned;
+    for(const address of ids.keys()) {
+        for(const { id, blockNumber } of index.received.get(address) || []) {
+            if(blockNumber <= block) {
+                received(address, id);
+            }
+        }
+    }
+    // Blocks too recent for the index are fetched for these addresses only.
+    await scanTransfers(provider, options, scanned + 1, block, addresses, received);
+    return ids;
+}
+
+/**
+ * Returns the voting power of each address at `block`: its `ENSToken.getPastVotes`, plus optionally the tokens it
+ * has delegated through `ERC20MultiDelegate` and its unclaimed `TokenLock` balance. Tokens delegated through
+ * `ERC20MultiDelegate` also count towards their delegates' votes, so including them counts them twice overall.
+ * @param provider An ethers provider for a node that can serve state at `block`.
+ * @param addresses The addresses to score.
+ * @param block A block number before the latest block.
+ * @param options.include A list of the `INCLUDES` to add.
+ * @param options.token, options.tokenLock, options.multiDelegate, options.multicall Contract addresses; default to
+ *        mainnet's.
+ * @param options.multiDelegateBlock The block `ERC20MultiDelegate` was deployed in, to search for transfers from.
+ * @param options.batchSize The number of calls to make in each multicall.
+ * @param options.logBlockRange The number of blocks to fetch logs for at a time.
+ * @param options.transferIndex An index from `createTransferIndex` to find `ERC20MultiDelegate` transfers with.
+ * @param options.confirmations How many blocks behind the latest a block must be to be added to the transfer index.
+ * @returns A list of BigNumbers, one for each address. Throws a `RangeError` if `block` is not before the latest
+ *          block.
+ */
+async function getVotingPower(provider, addresses, block, options = {}) {
+    options = {include: [], batchSize: 500, logBlockRange: 100000, confirmations: 64, ...MAINNET, ...options};
+    const latest = await provider.getBlockNumber();
+    if(block >= latest) {
+        throw new RangeError(`Block ${block} is not before the latest block, ${latest}`);
+    }
+    // getPastVotes only answers for blocks that have been mined, so it is called at the latest block.
+    const votes = await aggregate(provider, options, addresses.map((address) => [token, options.token, 'getPastVotes', [address, block]]), 'latest');
+    const power = votes.map(([amount]) => amount);
+
+    if(options.include.includes('tokenlock')) {
+        const calls = addresses.flatMap((address) => [
+            [tokenLock, options.tokenLock, 'lockedAmounts', [address]],
+            [tokenLock, options.tokenLock, 'claimedAmounts', [address]],
+        ]);
+        const amounts = await aggregate(provider, options, calls, block);
+        addresses.forEach((address, i) => {
+            power[i] = power[i].add(amounts[2 * i][0]).sub(amounts[2 * i + 1][0]);
+        });
+    }
+
+    if(options.include.includes('multidelegate')) {
+        const ids = await fetchMultiDelegateIds(provider, options, addresses, block, latest);
+        const calls = addresses
+            .filter((address) => ids.get(address.toLowerCase()).size > 0)
+            .map((address) => {
+                const owned = [...ids.get(address.toLowerCase())];
+                return [multiDelegate, options.multiDelegate, 'balanceOfBatch', [owned.map(() => address), owned]];
+            });
+        const balances = await aggregate(provider, options, calls, block);
+        let next = 0;
+        addresses.forEach((address, i) => {
+            if(ids.get(address.toLowerCase()).size > 0) {
+                power[i] = balances[next++][0].reduce((sum, balance) => sum.add(balance), power[i]);
+            }
+        });
+    }
+    return power;
+}
+
+module.exports = { getVotingPower, createTransferIndex, INCLUDES };
@@ -1,4 +1,6 @@
-module.exports = {
+// Deployment parameters for each network, read through `getConfig` in src/config.js, which validates them and
+// applies environment variable overrides. Token amounts are in whole tokens; dates are UTC.
+const mainnet = {
     TOTAL_SUPPLY: "100000000",
     LOCKED_DAO_TOKENS: "45000000",
     TOTAL_CONTRIBUTOR_TOKENS: "25000000",
@@ -9,3 +11,11 @@ module.exports = {
     CLAIM_PERIOD_ENDS: "2022-05-04",
     MIN_TIMELOCK_DELAY: "172800"
 };
+
+module.exports = {
+    mainnet,
+    // Local and forked networks use the mainnet values, so tests and rehearsals follow the real schedule.
+    hardhat: mainnet,
+    localhost: mainnet,
+    tenderly: mainnet,
+};
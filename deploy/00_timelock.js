@@ -1,9 +1,10 @@
-const config = require('../config');
+const { getConfig } = require('../src/config');
 
 const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 
-module.exports = async ({getNamedAccounts, deployments}) => {
+module.exports = async ({getNamedAccounts, deployments, network}) => {
     const {deploy} = deployments;
+    const config = getConfig(network.name);
     const {deployer} = await getNamedAccounts();
     await deploy('TimelockController', {
       from: deployer,
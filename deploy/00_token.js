@@ -1,9 +1,10 @@
-const config = require('../config');
+const { getConfig } = require('../src/config');
 const { ShardedMerkleTree } = require('../src/merkle');
 
 module.exports = async ({getNamedAccounts, deployments, network}) => {
   const {deploy} = deployments;
   const {deployer} = await getNamedAccounts();
+  const config = getConfig(network.name);
   const tree = ShardedMerkleTree.fromFiles(`airdrops/${network.name}`);
   const totalSupply = ethers.BigNumber.from(10).pow(18).mul(config.TOTAL_SUPPLY);
   await deploy('ENSToken', {
@@ -11,7 +12,7 @@ module.exports = async ({getNamedAccounts, deployments, network}) => {
     args: [
       totalSupply.sub(tree.total),
       tree.total,
-      Math.floor(new Date(config.CLAIM_PERIOD_ENDS).getTime() / 1000),
+      config.CLAIM_PERIOD_ENDS,
     ],
     log: true,
   });
@@ -1,16 +1,17 @@
-const config = require('../config');
+const { getConfig } = require('../src/config');
 
-module.exports = async ({getNamedAccounts, deployments}) => {
+module.exports = async ({getNamedAccounts, deployments, network}) => {
   const {deploy} = deployments;
   const {deployer} = await getNamedAccounts();
+  const config = getConfig(network.name);
   const ensToken = await ethers.getContract('ENSToken');
   await deploy('TokenLock', {
     from: deployer,
     args: [
         ensToken.address,
-        Math.floor(new Date(config.UNLOCK_BEGIN).getTime() / 1000),
-        Math.floor(new Date(config.UNLOCK_CLIFF).getTime() / 1000),
-        Math.floor(new Date(config.UNLOCK_END).getTime() / 1000),
+        config.UNLOCK_BEGIN,
+        config.UNLOCK_CLIFF,
+        config.UNLOCK_END,
     ],
     log: true,
   });
@@ -1,8 +1,9 @@
-const config = require('../config');
+const { getConfig } = require('../src/config');
 
-module.exports = async ({getNamedAccounts, deployments}) => {
+module.exports = async ({getNamedAccounts, deployments, network}) => {
   const {deploy} = deployments;
   const {deployer} = await getNamedAccounts();
+  const config = getConfig(network.name);
   const ensToken = await ethers.getContract('ENSToken');
   await deploy('ENSDelegateLookup', {
     from: deployer,
@@ -1,42 +1,39 @@
-const config = require('../config');
+const { getConfig } = require('../src/config');
+const { ShardedMerkleTree } = require('../src/merkle');
+const { distribute } = require('../src/distribution');
 
-const oneToken = ethers.BigNumber.from(10).pow(18);
-
-module.exports = async ({getNamedAccounts, deployments}) => {
+// Balances are checked against config.js and the airdrop tree before any transaction is sent and again afterwards.
+// Run `hardhat distribute --dry-run` to see the planned transfers first. Set DISTRIBUTION_SUMMARY to a path to write
+// a JSON summary of the distribution there.
+module.exports = async ({getNamedAccounts, deployments, network}) => {
   const {deployer} = await getNamedAccounts();
-  const ensToken = await ethers.getContract('ENSToken');
-  const timelockController = await ethers.getContract('TimelockController');
-  const tokenLock = await ethers.getContract('TokenLock');
-
-  // Transfer locked tokens to the tokenlock
-  if((await tokenLock.lockedAmounts(timelockController.address)).eq(0)) {
-    const lockedDAOTokens = oneToken.mul(config.LOCKED_DAO_TOKENS);
-    await (await ensToken.approve(tokenLock.address, lockedDAOTokens)).wait();
-    await (await tokenLock.lock(timelockController.address, lockedDAOTokens)).wait();
-  }
-
-  // Transfer free tokens to the timelock controller
-  const totalContributorTokens = oneToken.mul(config.TOTAL_CONTRIBUTOR_TOKENS);
-  const balance = await ensToken.balanceOf(deployer);
-  if(balance.gt(totalContributorTokens)) {
-    await (await ensToken.transfer(timelockController.address, balance.sub(totalContributorTokens))).wait();
-  }
+  const config = getConfig(network.name);
+  const tree = ShardedMerkleTree.fromFiles(`airdrops/${network.name}`);
+  const summaryFile = process.env.DISTRIBUTION_SUMMARY || undefined;
+  const summary = await distribute({
+    token: await ethers.getContract('ENSToken'),
+    timelock: await ethers.getContract('TimelockController'),
+    tokenLock: await ethers.getContract('TokenLock'),
+  }, {
+    deployer,
+    config,
+    airdropTotal: tree.total,
+    log: console.log,
+    summaryFile,
+  });
 
   // Print out balances
-  const daoBalance = await ensToken.balanceOf(timelockController.address);
+  const {after} = summary;
   console.log(`Token balances:`);
-  console.log(`  DAO: ${daoBalance.div(oneToken).toString()}`);
-  const contributorBalance = await ensToken.balanceOf(deployer);
-  console.log(`  Contributors: ${contributorBalance.div(oneToken).toString()}`);
-  const airdropBalance = await ensToken.balanceOf(ensToken.address);
-  console.log(`  Airdrop: ${airdropBalance.div(oneToken).toString()}`);
-  const tokenlockBalance = await ensToken.balanceOf(tokenLock.address);
-  console.log(`  TokenLock: ${tokenlockBalance.div(oneToken).toString()}`);
-  const lockedDaoBalance = await tokenLock.lockedAmounts(timelockController.address);
-  console.log(`    DAO: ${lockedDaoBalance.div(oneToken).toString()}`);
-  console.log(`    TOTAL: ${lockedDaoBalance.div(oneToken).toString()}`);
-  const total = daoBalance.add(contributorBalance).add(airdropBalance).add(tokenlockBalance);
-  console.log(`  TOTAL: ${total.div(oneToken).toString()}`);
+  console.log(`  DAO: ${ethers.utils.formatEther(after.dao)}`);
+  console.log(`  Contributors: ${ethers.utils.formatEther(after.contributors)}`);
+  console.log(`  Airdrop: ${ethers.utils.formatEther(after.airdrop)}`);
+  console.log(`  TokenLock: ${ethers.utils.formatEther(after.tokenLock)}`);
+  console.log(`    DAO: ${ethers.utils.formatEther(after.lockedDao)}`);
+  console.log(`  TOTAL: ${ethers.utils.formatEther(after.totalSupply)}`);
+  if(summaryFile !== undefined) {
+    console.log(`Wrote distribution summary to ${summaryFile}`);
+  }
 
   return true;
 };
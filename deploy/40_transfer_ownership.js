@@ -1,5 +1,3 @@
-const config = require('../config');
-
 module.exports = async ({getNamedAccounts, deployments, network}) => {
   const ensToken = await ethers.getContract('ENSToken');
   const timelockController = await ethers.getContract('TimelockController');
@@ -1,4 +1,3 @@
-const config = require('../config');
 const { ShardedMerkleTree } = require('../src/merkle');
 
 module.exports = async ({getNamedAccounts, deployments, network}) => {
@@ -1,4 +1,4 @@
-const config = require('./config');
+const { getConfig } = require('./src/config');
 
 /**
  * @type import('hardhat/config').HardhatUserConfig
@@ -17,6 +17,15 @@ require('dotenv').config({ silent: true });
 
 // hardhat actions
 require('./tasks/maketree');
+require('./tasks/verifytree');
+require('./tasks/treediff');
+require('./tasks/interop');
+require('./tasks/proof');
+require('./tasks/claimstatus');
+require('./tasks/batchclaim');
+require('./tasks/deployairdrop');
+require('./tasks/verifydeployment');
+require('./tasks/distribute');
 
 real_accounts = undefined;
 if (process.env.DEPLOYER_KEY) {
@@ -53,7 +62,7 @@ module.exports = {
   },
   networks: {
     hardhat: {
-      initialDate: config.UNLOCK_BEGIN,
+      initialDate: new Date(getConfig('hardhat').UNLOCK_BEGIN * 1000).toISOString(),
       tags: ['test'],
       allowUnlimitedContractSize: true,
     },
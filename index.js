@@ -0,0 +1 @@
+module.exports = require('./src/merkle');
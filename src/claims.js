@@ -0,0 +1,183 @@
+const { ethers } = require("ethers");
+const { NotEligible } = require('./core');
+
+/**
+ * Fetches the `Claim(address indexed claimant, uint256 amount)` events an `ENSToken` or `MerkleAirdrop` contract
+ * has emitted, querying at most `blockRange` blocks at a time to stay within node log limits.
+ * @returns A map from lowercase claimant address to `{address, amount, transactions}`, where `amount` is a
+ *          BigNumber summed over every claim by the address.
+ */
+async function fetchClaims(contract, fromBlock, toBlock, blockRange = 10000) {
+    const claims = new Map();
+    for(let start = fromBlock; start <= toBlock; start += blockRange) {
+        const events = await contract.queryFilter(contract.filters.Claim(), start, Math.min(start + blockRange - 1, toBlock));
+        for(const { args, transactionHash } of events) {
+            const key = args.claimant.toLowerCase();
+            const claim = claims.get(key) || {address: args.claimant, amount: ethers.BigNumber.from(0), transactions: []};
+            claim.amount = claim.amount.add(args.amount);
+            claim.transactions.push(transactionHash);
+            claims.set(key, claim);
+        }
+    }
+    return claims;
+}
+
+/**
+ * Joins claims from `fetchClaims` with a tree and tallies claimed and unclaimed recipients and amounts, per shard
+ * and overall.
+ * @returns `{root, total, claimed, unclaimed, shards, unclaimedRecipients, mismatched, unknown}`, where `claimed`
+ *          and `unclaimed` are `{recipients, amount}`, `shards` lists the same per shard, `mismatched` lists
+ *          claims whose amount differs from the recipient's balance, and `unknown` lists claims by addresses that
+ *          are not in the tree.
+ */
+async function getClaimReport(tree, claims) {
+    const remaining = new Map(claims);
+    const tally = () => ({recipients: 0, amount: ethers.BigNumber.from(0)});
+    const claimed = tally();
+    const unclaimed = tally();
+    const shards = [];
+    const unclaimedRecipients = [];
+    const mismatched = [];
+    for(const shardid of tree.getShardIds()) {
+        const entries = Object.entries((await tree.loadShardAsync(shardid)).entries);
+        if(entries.length === 0) {
+            continue;
+        }
+        const shard = {shard: shardid, claimed: tally(), unclaimed: tally()};
+        for(const [address, entry] of entries) {
+            const claim = remaining.get(address.toLowerCase());
+            const counts = claim === undefined ? [shard.unclaimed, unclaimed] : [shard.claimed, claimed];
+            for(const count of counts) {
+                count.recipients++;
+                count.amount = count.amount.add(entry.balance);
+            }
+            if(claim === undefined) {
+                unclaimedRecipients.push({address, shard: shardid, balance: entry.balance.toString()});
+                continue;
+            }
+            remaining.delete(address.toLowerCase());
+            if(!claim.amount.eq(entry.balance)) {
+                mismatched.push({address, balance: entry.balance.toString(), claimed: claim.amount.toString()});
+            }
+        }
+        shards.push(shard);
+    }
+
+    const format = ({recipients, amount}) => ({recipients, amount: amount.toString()});
+    return {
+        root: tree.root,
+        total: tree.total.toString(),
+        claimed: format(claimed),
+        unclaimed: format(unclaimed),
+        shards: shards.map((shard) => ({shard: shard.shard, claimed: format(shard.claimed), unclaimed: format(shard.unclaimed)})),
+        unclaimedRecipients,
+        mismatched,
+        unknown: Array.from(remaining.values()).map(({address, amount, transactions}) => ({address, amount: amount.toString(), transactions})),
+    };
+}
+
+/**
+ * Formats the unclaimed recipients from a claim report as CSV, with a header row; the `address,amount` columns
+ * can be fed back into `maketree --format csv`.
+ */
+function unclaimedToCsv(report) {
+    return ['address,amount,shard']
+        .concat(report.unclaimedRecipients.map(({address, balance, shard}) => `${address},${balance},${shard}`))
+        .join('\n') + '\n';
+}
+
+/**
+ * Claims from a `MerkleAirdrop` on behalf of recipients, which the contract allows anyone to do. Recipients that
+ * are not in the tree or have already claimed are skipped. Claims are sent in chunks whose estimated gas adds up
+ * to at most `maxGas`; each chunk is mined before progress is saved, so an interrupted run can resume from its
+ * state and only retries claims that had not succeeded.
+ * @param airdrop An ethers contract for the `MerkleAirdrop`, connected to the signer that pays for gas.
+ * @param addresses An (async) iterable of recipient addresses.
+ * @param options.maxGas The gas budget for each chunk of claims.
+ * @param options.state The state from an earlier run over the same tree, to resume from.
+ * @param options.save Called with the state after each chunk, to persist it.
+ * @param options.log Called with a message for each claim that is sent, skipped or fails.
+ * @returns The state: `{root, claimed, skipped, failed}`, where `claimed` maps lowercase addresses to claim
+ *          transaction hashes and `skipped` and `failed` map them to reasons.
+ */
+async function batchClaim(tree, airdrop, addresses, { maxGas = 5000000, state, save = () => {}, log = () => {} } = {}) {
+    const root = await airdrop.merkleRoot();
+    if(root !== tree.root) {
+        throw new Error(`MerkleAirdrop at ${airdrop.address} has merkle root ${root}, but the tree has root ${tree.root}`);
+    }
+    if(state === undefined) {
+        state = {root, claimed: {}, skipped: {}, failed: {}};
+    } else if(state.root !== root) {
+        throw new Error(`State is for a tree with root ${state.root}, not ${root}`);
+    }
+
+    let chunk = [];
+    let chunkGas = ethers.BigNumber.from(0);
+    const flush = async () => {
+        const sent = [];
+        for(const { key, address, entry, proof, gas } of chunk) {
+            try {
+                sent.push([key, address, await airdrop.claimTokens(address, entry.balance, proof, {gasLimit: gas.mul(12).div(10)})]);
+            } catch(e) {
+                state.failed[key] = e.message;
+                log(`${address}: failed to send claim: ${e.message}`);
+            }
+        }
+        for(const [key, address, tx] of sent) {
+            try {
+                await tx.wait();
+                state.claimed[key] = tx.hash;
+                delete state.failed[key];
+                log(`${address}: claimed ${chunk.find((claim) => claim.key === key).entry.balance} in ${tx.hash}`);
+            } catch(e) {
+                state.failed[key] = e.message;
+                log(`${address}: claim ${tx.hash} failed: ${e.message}`);
+            }
+        }
+        chunk = [];
+        chunkGas = ethers.BigNumber.from(0);
+        await save(state);
+    };
+    const skip = (key, address, reason) => {
+        state.skipped[key] = reason;
+        delete state.failed[key];
+        log(`${address}: skipped: ${reason}`);
+    };
+
+    const seen = new Set();
+    for await (const address of addresses) {
+        const key = address.toLowerCase();
+        if(seen.has(key) || state.claimed[key] !== undefined || state.skipped[key] !== undefined) {
+            continue;
+        }
+        seen.add(key);
+        const result = await tree.getProofAsync(address);
+        if(result instanceof NotEligible) {
+            skip(key, address, 'Not in the tree');
+            continue;
+        }
+        const [entry, proof] = result;
+        if(await airdrop.isClaimed(await tree.getClaimIndexAsync(address))) {
+            skip(key, address, 'Already claimed');
+            continue;
+        }
+        let gas;
+        try {
+            gas = await airdrop.estimateGas.claimTokens(address, entry.balance, proof);
+        } catch(e) {
+            state.failed[key] = e.message;
+            log(`${address}: claim would fail: ${e.message}`);
+            continue;
+        }
+        if(chunk.length > 0 && chunkGas.add(gas).gt(maxGas)) {
+            await flush();
+        }
+        chunk.push({key, address, entry, proof, gas});
+        chunkGas = chunkGas.add(gas);
+    }
+    // Also saves any failures since the last chunk
+    await flush();
+    return state;
+}
+
+module.exports = { fetchClaims, getClaimReport, unclaimedToCsv, batchClaim };
@@ -0,0 +1,121 @@
+const { ethers } = require("ethers");
+
+/**
+ * The type of each configuration value. Every value is required.
+ */
+const CONFIG_SCHEMA = {
+    TOTAL_SUPPLY: 'tokens',
+    LOCKED_DAO_TOKENS: 'tokens',
+    TOTAL_CONTRIBUTOR_TOKENS: 'tokens',
+    UNLOCK_BEGIN: 'date',
+    UNLOCK_CLIFF: 'date',
+    UNLOCK_END: 'date',
+    REGISTRY_ADDRESS: 'address',
+    CLAIM_PERIOD_ENDS: 'date',
+    MIN_TIMELOCK_DELAY: 'seconds',
+};
+
+/**
+ * Environment variables named `ENV_PREFIX` followed by a configuration key override that key on any network.
+ */
+const ENV_PREFIX = 'ENS_';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+// Each parser returns the typed value, or throws with the reason the value is invalid.
+const PARSERS = {
+    // A whole number of tokens, returned as a BigNumber.
+    tokens: (value) => {
+        if(!/^\d+$/.test(value)) {
+            throw new Error('must be a whole number of tokens');
+        }
+        return ethers.BigNumber.from(value);
+    },
+    // A UTC date (YYYY-MM-DD) or an ISO 8601 date and time with a time zone, returned as a unix timestamp in
+    // seconds.
+    date: (value) => {
+        const time = new Date(value).getTime();
+        // Date-only values are parsed as UTC; the round trip rejects days that don't exist, like 2022-02-30.
+        if(!DATE_PATTERN.test(value) || isNaN(time) || (value.length === 10 && new Date(time).toISOString().slice(0, 10) !== value)) {
+            throw new Error('must be a date (YYYY-MM-DD) or an ISO 8601 date and time with a time zone');
+        }
+        return Math.floor(time / 1000);
+    },
+    // An address, returned checksummed.
+    address: (value) => {
+        if(!ethers.utils.isAddress(value)) {
+            throw new Error('must be an address');
+        }
+        return ethers.utils.getAddress(value);
+    },
+    // A whole number of seconds.
+    seconds: (value) => {
+        if(!/^\d+$/.test(value)) {
+            throw new Error('must be a whole number of seconds');
+        }
+        return parseInt(value, 10);
+    },
+};
+
+/**
+ * Thrown by `getConfig` when a network's configuration is missing or invalid; `problems` lists every problem found.
+ */
+class ConfigError extends Error {
+    constructor(message, problems) {
+        super(message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Returns the validated configuration for a network, with environment variable overrides applied. Token amounts
+ * are BigNumbers of whole tokens, dates are unix timestamps in seconds, addresses are checksummed and delays are
+ * numbers of seconds.
+ * @param network The network name, as in hardhat.config.js.
+ * @param options.networks The per-network configuration; defaults to config.js.
+ * @param options.env The environment to read overrides from; defaults to `process.env`.
+ */
+function getConfig(network, { networks = require('../config'), env = process.env } = {}) {
+    const values = networks[network];
+    if(values === undefined) {
+        throw new ConfigError(`No configuration for network ${network}; add it to config.js`, []);
+    }
+
+    const problems = [];
+    for(const key of Object.keys(values)) {
+        if(CONFIG_SCHEMA[key] === undefined) {
+            problems.push(`${key} is not a known configuration key`);
+        }
+    }
+    const config = {};
+    for(const [key, type] of Object.entries(CONFIG_SCHEMA)) {
+        const override = env[ENV_PREFIX + key];
+        const value = override !== undefined && override !== '' ? override : values[key];
+        const source = override !== undefined && override !== '' ? `${ENV_PREFIX}${key}` : key;
+        if(value === undefined || value === null) {
+            problems.push(`${key} is missing`);
+            continue;
+        }
+        try {
+            config[key] = PARSERS[type](value.toString().trim());
+        } catch(e) {
+            problems.push(`${source} ${e.message}, not ${JSON.stringify(value)}`);
+        }
+    }
+
+    if(problems.length === 0) {
+        if(!(config.UNLOCK_BEGIN <= config.UNLOCK_CLIFF && config.UNLOCK_CLIFF <= config.UNLOCK_END)) {
+            problems.push('UNLOCK_BEGIN, UNLOCK_CLIFF and UNLOCK_END must be in order');
+        }
+        if(config.LOCKED_DAO_TOKENS.add(config.TOTAL_CONTRIBUTOR_TOKENS).gt(config.TOTAL_SUPPLY)) {
+            problems.push('LOCKED_DAO_TOKENS and TOTAL_CONTRIBUTOR_TOKENS add up to more than TOTAL_SUPPLY');
+        }
+    }
+    if(problems.length > 0) {
+        throw new ConfigError(`Invalid configuration for network ${network}:\n${problems.map((problem) => `  ${problem}`).join('\n')}`, problems);
+    }
+    return Object.freeze(config);
+}
+
+module.exports = { getConfig, ConfigError, CONFIG_SCHEMA, ENV_PREFIX };
@@ -0,0 +1,720 @@
+const { ethers } = require("ethers");
+
+// Browser-safe core of the merkle library: everything needed to look up entries and generate proofs from a
+// tree's JSON files. It depends only on ethers; building and verifying tree directories is in `./merkle`.
+
+/**
+ * Leaf encodings a tree can be built with. The schema name is stored in root.json, so proofs are always
+ * generated with the encoding the tree was built with. `fields` lists the entry fields a schema reads.
+ */
+const LEAF_SCHEMAS = {
+    // keccak256(abi.encodePacked(address, balance)), as checked by `ENSToken` and `MerkleAirdrop`.
+    'address-balance': {
+        types: ['address', 'uint256'],
+        fields: ['balance'],
+        values: (address, entry) => [address, entry.balance],
+    },
+    'index-address-balance': {
+        types: ['uint256', 'address', 'uint256'],
+        fields: ['index', 'balance'],
+        values: (address, entry) => [entry.index, address, entry.balance],
+    },
+    'address-balance-vesting': {
+        types: ['address', 'uint256', 'uint64', 'uint64'],
+        fields: ['balance', 'vesting_start', 'vesting_end'],
+        values: (address, entry) => [address, entry.balance, entry.vesting_start, entry.vesting_end],
+    },
+    // keccak256(keccak256(abi.encode(address, balance))), as used by OpenZeppelin's StandardMerkleTree. Hashing
+    // twice means a leaf can never be mistaken for an internal node.
+    'address-balance-double': {
+        types: ['address', 'uint256'],
+        fields: ['balance'],
+        values: (address, entry) => [address, entry.balance],
+        doubleHashed: true,
+    },
+};
+
+const DEFAULT_LEAF_SCHEMA = 'address-balance';
+
+/**
+ * Returns a function that hashes an `[address, entry]` pair with the named leaf schema.
+ */
+function getLeafHasher(name) {
+    const schema = LEAF_SCHEMAS[name];
+    if(schema === undefined) {
+        throw new Error(`Unknown leaf schema ${name}; expected one of ${Object.keys(LEAF_SCHEMAS).join(', ')}`);
+    }
+    return ([address, entry]) => {
+        for(const field of schema.fields) {
+            if(entry[field] === undefined || entry[field] === null) {
+                throw new Error(`Entry for ${address} is missing field ${field} required by leaf schema ${name}`);
+            }
+        }
+        const values = schema.values(address, entry);
+        if(schema.doubleHashed) {
+            return ethers.utils.keccak256(ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(schema.types, values)));
+        }
+        return ethers.utils.solidityKeccak256(schema.types, values);
+    };
+}
+
+/**
+ * Returned in place of a proof for addresses that have no entry in the tree.
+ */
+class NotEligible {
+    constructor(address) {
+        this.address = address;
+        this.eligible = false;
+    }
+}
+
+/**
+ * Thrown when shard data is present but unusable, as opposed to an address simply not being in the tree.
+ */
+class TreeCorruptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TreeCorruptError';
+    }
+}
+
+/**
+ * Mirrors `MerkleProof.verify`: folds a proof into a root using sorted pairs, and computes the claim index.
+ */
+function processProof(leaf, proof) {
+    let computedHash = leaf;
+    let index = 0;
+    for(const proofElement of proof) {
+        index *= 2;
+        if(computedHash <= proofElement) {
+            computedHash = ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [computedHash, proofElement]);
+        } else {
+            computedHash = ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [proofElement, computedHash]);
+            index += 1;
+        }
+    }
+    return {root: computedHash, index};
+}
+
+function hashPair(a, b) {
+    return a <= b
+        ? ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [a, b])
+        : ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [b, a]);
+}
+
+/**
+ * A Merkle tree over sorted leaves with sorted-pair hashing, as checked by `MerkleProof.sol`. Gives the same
+ * roots and proofs as merkletreejs with `{sort: true}`: a lone last node on a layer is carried up unhashed, and
+ * an empty tree has root `0x`. Leaves and proof elements are lowercase hex strings.
+ */
+class MerkleTree {
+    constructor(leaves) {
+        let layer = leaves.map((leaf) => leaf.toLowerCase()).sort();
+        this.layers = [layer];
+        while(layer.length > 1) {
+            const next = [];
+            for(let i = 0; i < layer.length; i += 2) {
+                next.push(i + 1 === layer.length ? layer[i] : hashPair(layer[i], layer[i + 1]));
+            }
+            this.layers.push(next);
+            layer = next;
+        }
+    }
+
+    getLeafCount() {
+        return this.layers[0].length;
+    }
+
+    getHexRoot() {
+        const top = this.layers[this.layers.length - 1];
+        return top.length > 0 ? top[0] : '0x';
+    }
+
+    getProof(leaf) {
+        let index = this.layers[0].lastIndexOf(leaf.toLowerCase());
+        if(index === -1) {
+            return [];
+        }
+        const proof = [];
+        for(const layer of this.layers) {
+            const pairIndex = index % 2 === 1 ? index - 1 : index + 1;
+            if(pairIndex < layer.length) {
+                proof.push(layer[pairIndex]);
+            }
+            index = Math.floor(index / 2);
+        }
+        return proof;
+    }
+}
+
+function normaliseAddress(address) {
+    if(typeof address !== 'string' || !ethers.utils.isAddress(address)) {
+        throw new TypeError(`Invalid address: ${address}`);
+    }
+    return address.toLowerCase();
+}
+
+class ShardedMerkleTree {
+    /**
+     * @param fetcher A function that takes a shard ID and returns the parsed shard, or null if the shard does
+     *        not exist. May return a promise, in which case only the async methods can be used.
+     * @param shardInfo Per-shard `{entries, bytes}` from root.json, if the tree records it. When present, a
+     *        listed shard that cannot be fetched is treated as corruption rather than as an empty shard.
+     */
+    constructor(fetcher, shardNybbles, root, total, leafSchema = DEFAULT_LEAF_SCHEMA, shardInfo = undefined) {
+        this.fetcher = fetcher;
+        this.shardNybbles = shardNybbles;
+        this.root = root;
+        this.total = total;
+        this.leafSchema = leafSchema;
+        this.shardInfo = shardInfo;
+        this.hashLeaf = getLeafHasher(leafSchema);
+        this.shards = {};
+        this.trees = {};
+        this.addresses = {};
+        this.pending = {};
+    }
+
+    getShardId(address) {
+        return address.slice(2, 2 + this.shardNybbles).toLowerCase();
+    }
+
+    addShard(shardid, shard) {
+        if(shard === null || shard === undefined) {
+            if(this.shardInfo?.[shardid] !== undefined) {
+                throw new TreeCorruptError(`Shard ${shardid} is listed in root.json but missing`);
+            }
+            // Shards are only written when they have entries, so a missing one is empty.
+            shard = {proof: [], entries: {}};
+        }
+        if(typeof shard.entries !== 'object' || shard.entries === null || !Array.isArray(shard.proof)) {
+            throw new TreeCorruptError(`Shard ${shardid} is malformed`);
+        }
+        let tree;
+        try {
+            tree = new MerkleTree(Object.entries(shard.entries).map(this.hashLeaf));
+        } catch(e) {
+            throw new TreeCorruptError(`Shard ${shardid} has invalid entries: ${e.message}`);
+        }
+        this.shards[shardid] = shard;
+        this.trees[shardid] = tree;
+        // Entry keys may be checksummed or lowercase; index them by lowercase address.
+        this.addresses[shardid] = Object.fromEntries(Object.keys(shard.entries).map((key) => [key.toLowerCase(), key]));
+    }
+
+    loadShard(shardid) {
+        if(this.shards[shardid] === undefined) {
+            if(this.pending[shardid] !== undefined) {
+                throw new Error(`Shard ${shardid} is fetched asynchronously; use getProofAsync instead`);
+            }
+            const shard = this.fetcher(shardid);
+            if(typeof shard?.then === 'function') {
+                // Keep the fetch so the async methods can reuse it, and so a failure is not left unhandled.
+                this.settleShard(shardid, shard).catch(() => {});
+                throw new Error(`Shard ${shardid} is fetched asynchronously; use getProofAsync instead`);
+            }
+            this.addShard(shardid, shard);
+        }
+        return this.shards[shardid];
+    }
+
+    /**
+     * Fetches a shard, sharing a single in-flight request between concurrent callers.
+     */
+    async loadShardAsync(shardid) {
+        if(this.shards[shardid] !== undefined) {
+            return this.shards[shardid];
+        }
+        if(this.pending[shardid] === undefined) {
+            this.settleShard(shardid, Promise.resolve().then(() => this.fetcher(shardid)));
+        }
+        return this.pending[shardid];
+    }
+
+    /**
+     * Adds a shard once the promise `fetched` resolves, recording it as the shard's in-flight request meanwhile.
+     */
+    settleShard(shardid, fetched) {
+        this.pending[shardid] = fetched
+            .then((shard) => {
+                if(this.shards[shardid] === undefined) {
+                    this.addShard(shardid, shard);
+                }
+                return this.shards[shardid];
+            })
+            .finally(() => {
+                // Failed fetches are not cached, so a later call can retry.
+                delete this.pending[shardid];
+            });
+        return this.pending[shardid];
+    }
+
+    entryFromShard(shardid, address) {
+        const key = this.addresses[shardid][address];
+        return key === undefined ? undefined : this.shards[shardid].entries[key];
+    }
+
+    proofFromShard(shardid, address) {
+        const key = this.addresses[shardid][address];
+        if(key === undefined) {
+            return new NotEligible(address);
+        }
+        const shard = this.shards[shardid];
+        const entry = shard.entries[key];
+        const leaf = this.hashLeaf([key, entry])
+        const proof = this.trees[shardid].getProof(leaf);
+        return [entry, proof.concat(shard.proof)];
+    }
+
+    /**
+     * Returns the entry for an address, or undefined if it is not in the tree.
+     * Addresses are matched case-insensitively.
+     */
+    getEntry(address) {
+        address = normaliseAddress(address);
+        const shardid = this.getShardId(address);
+        this.loadShard(shardid);
+        return this.entryFromShard(shardid, address);
+    }
+
+    async getEntryAsync(address) {
+        address = normaliseAddress(address);
+        const shardid = this.getShardId(address);
+        await this.loadShardAsync(shardid);
+        return this.entryFromShard(shardid, address);
+    }
+
+    hasClaim(address) {
+        return this.getEntry(address) !== undefined;
+    }
+
+    async hasClaimAsync(address) {
+        return (await this.getEntryAsync(address)) !== undefined;
+    }
+
+    /**
+     * Returns `[entry, proof]` for an address, or a `NotEligible` if it is not in the tree.
+     * Throws a `TypeError` for malformed addresses and a `TreeCorruptError` for unusable shard data.
+     */
+    getProof(address) {
+        address = normaliseAddress(address);
+        const shardid = this.getShardId(address);
+        this.loadShard(shardid);
+        return this.proofFromShard(shardid, address);
+    }
+
+    async getProofAsync(address) {
+        address = normaliseAddress(address);
+        const shardid = this.getShardId(address);
+        await this.loadShardAsync(shardid);
+        return this.proofFromShard(shardid, address);
+    }
+
+    claimIndexFromShard(shardid, address) {
+        const result = this.proofFromShard(shardid, address);
+        if(result instanceof NotEligible) {
+            return undefined;
+        }
+        const [entry, proof] = result;
+        return processProof(this.hashLeaf([this.addresses[shardid][address], entry]), proof).index;
+    }
+
+    /**
+     * Returns the index `MerkleProof.verify` computes for an address's claim, which is the bit the claim
+     * contracts' `isClaimed` checks, or undefined if the address is not in the tree.
+     */
+    getClaimIndex(address) {
+        address = normaliseAddress(address);
+        const shardid = this.getShardId(address);
+        this.loadShard(shardid);
+        return this.claimIndexFromShard(shardid, address);
+    }
+
+    async getClaimIndexAsync(address) {
+        address = normaliseAddress(address);
+        const shardid = this.getShardId(address);
+        await this.loadShardAsync(shardid);
+        return this.claimIndexFromShard(shardid, address);
+    }
+
+    /**
+     * Checks whether an address has claimed from a claim contract built on this tree.
+     * @param contract An ethers contract for `ENSToken` or `MerkleAirdrop`; both expose `isClaimed(index)`.
+     * @returns `{address, eligible, entry, index, claimed}`.
+     */
+    async getClaimStatus(address, contract) {
+        const entry = await this.getEntryAsync(address);
+        if(entry === undefined) {
+            return {address, eligible: false, entry, index: undefined, claimed: false};
+        }
+        const index = await this.getClaimIndexAsync(address);
+        return {address, eligible: true, entry, index, claimed: await contract.isClaimed(index)};
+    }
+
+    /**
+     * Returns the IDs of every shard a tree with this many shard nybbles can have, in order.
+     */
+    getShardIds() {
+        const count = 16 ** this.shardNybbles;
+        return Array.from({length: count}, (_, i) => i.toString(16).padStart(this.shardNybbles, '0'));
+    }
+
+    /**
+     * Iterates over every `[address, entry]` pair in the tree, loading each shard in turn.
+     */
+    async *entriesAsync() {
+        for(const shardid of this.getShardIds()) {
+            const shard = await this.loadShardAsync(shardid);
+            yield* Object.entries(shard.entries);
+        }
+    }
+
+    /**
+     * Returns the root of a shard's subtree, which is all-zero for a shard with no entries.
+     */
+    async getShardRootAsync(shardid) {
+        await this.loadShardAsync(shardid);
+        return this.trees[shardid].getLeafCount() === 0 ? ethers.constants.HashZero : this.trees[shardid].getHexRoot();
+    }
+
+    /**
+     * Compares two trees, matching recipients case-insensitively.
+     * @returns `{from, to, added, removed, changed, totalChange, shardNybblesChanged, changedShards}`, where
+     *          `added` and `removed` list `{address, balance}`, `changed` lists `{address, from, to, delta}`
+     *          for entries whose contents differ, and `changedShards` lists the IDs of shards whose root differs
+     *          (every shard of `to`, if the trees are sharded differently).
+     */
+    static async diff(from, to) {
+        const load = async (tree) => {
+            const entries = new Map();
+            for await (const [address, entry] of tree.entriesAsync()) {
+                entries.set(address.toLowerCase(), [address, entry]);
+            }
+            return entries;
+        };
+        const fromEntries = await load(from);
+        const toEntries = await load(to);
+
+        const added = [];
+        const removed = [];
+        const changed = [];
+        for(const [key, [address, entry]] of toEntries) {
+            const previous = fromEntries.get(key);
+            if(previous === undefined) {
+                added.push({address, balance: entry.balance.toString()});
+            } else if(JSON.stringify(previous[1]) !== JSON.stringify(entry)) {
+                changed.push({
+                    address,
+                    from: previous[1].balance.toString(),
+                    to: entry.balance.toString(),
+                    delta: ethers.BigNumber.from(entry.balance).sub(previous[1].balance).toString(),
+                });
+            }
+        }
+        for(const [key, [address, entry]] of fromEntries) {
+            if(!toEntries.has(key)) {
+                removed.push({address, balance: entry.balance.toString()});
+            }
+        }
+
+        const shardNybblesChanged = from.shardNybbles !== to.shardNybbles;
+        const changedShards = [];
+        for(const shardid of to.getShardIds()) {
+            const root = await to.getShardRootAsync(shardid);
+            if(shardNybblesChanged ? root !== ethers.constants.HashZero : root !== await from.getShardRootAsync(shardid)) {
+                changedShards.push(shardid);
+            }
+        }
+
+        const summarise = (tree) => ({root: tree.root, total: tree.total.toString(), shardNybbles: tree.shardNybbles, leafSchema: tree.leafSchema});
+        return {
+            from: summarise(from),
+            to: summarise(to),
+            added,
+            removed,
+            changed,
+            totalChange: to.total.sub(from.total).toString(),
+            shardNybblesChanged,
+            changedShards,
+        };
+    }
+
+    /**
+     * Creates a tree from a loader function. `loader(name)` is called with 'root' for the tree's root.json
+     * and with a shard ID for each shard, and should return (a promise for) the parsed JSON, or null for a
+     * shard that does not exist.
+     */
+    static async fromLoader(loader) {
+        const { root, shardNybbles, total, leafSchema, shards } = await loader('root');
+        return new this(loader, shardNybbles, root, ethers.BigNumber.from(total), leafSchema, shards);
+    }
+
+    /**
+     * Creates a tree that fetches root.json and shard files from `baseUrl`.
+     * @param fetch A fetch implementation; defaults to the global one.
+     */
+    static fromUrl(baseUrl, fetch = globalThis.fetch) {
+        const base = baseUrl.replace(/\/+$/, '');
+        return this.fromLoader(async (name) => {
+            const url = `${base}/${name}.json`;
+            const response = await fetch(url);
+            if(response.status === 404 && name !== 'root') {
+                return null;
+            }
+            if(!response.ok) {
+                throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+            }
+            return response.json();
+        });
+    }
+}
+
+/**
+ * The claim functions of the contracts that verify `address-balance` trees.
+ */
+const CLAIM_FUNCTIONS = {
+    ENSToken: 'function claimTokens(uint256 amount, address delegate, bytes32[] merkleProof)',
+    MerkleAirdrop: 'function claimTokens(address recipient, uint256 amount, bytes32[] merkleProof)',
+};
+
+/**
+ * ABI-encodes a call to `claimTokens` on `ENSToken` or `MerkleAirdrop` for an entry and proof from `getProof`.
+ * `ENSToken` pays `msg.sender`, so its calldata must be sent from `address`; `MerkleAirdrop` pays `address`
+ * whoever sends it.
+ * @param delegate The address to delegate claimed votes to, for `ENSToken`; defaults to `address`.
+ */
+function encodeClaim(contract, address, entry, proof, delegate = address) {
+    const fragment = CLAIM_FUNCTIONS[contract];
+    if(fragment === undefined) {
+        throw new Error(`Unknown claim contract ${contract}; expected one of ${Object.keys(CLAIM_FUNCTIONS).join(', ')}`);
+    }
+    const args = contract === 'ENSToken' ? [entry.balance, delegate, proof] : [address, entry.balance, proof];
+    return new ethers.utils.Interface([fragment]).encodeFunctionData('claimTokens', args);
+}
+
+/**
+ * A multi-round airdrop: a sequence of trees, each adding recipients or top-ups to the rounds before it. rounds.json
+ * lists the rounds in order with their roots and totals, and each round's tree is in a subdirectory named after
+ * the round. Every entry records the recipient's `cumulative_balance` over all rounds so far and the
+ * `incremental_balance` added in its round; `claims` says which of the two is the claimable `balance`:
+ *  - 'incremental': a round's tree holds only that round's recipients, each claiming what the round adds. This
+ *    suits contracts that allow one claim per leaf, such as a `MerkleAirdrop` deployed for each round.
+ *  - 'cumulative': a round's tree holds every recipient so far, each claiming their cumulative balance. This
+ *    suits contracts that track how much each recipient has already been paid.
+ */
+class AirdropRounds {
+    /**
+     * @param manifest The parsed rounds.json.
+     * @param openTree A function that takes a round from the manifest and returns (a promise for) its tree.
+     */
+    constructor(manifest, openTree) {
+        this.claims = manifest.claims;
+        this.rounds = manifest.rounds;
+        this.openTree = openTree;
+        this.trees = {};
+    }
+
+    getRound(name) {
+        const round = this.rounds.find((round) => round.name === name);
+        if(round === undefined) {
+            throw new Error(`Unknown round ${name}`);
+        }
+        return round;
+    }
+
+    getLatestRound() {
+        return this.rounds[this.rounds.length - 1];
+    }
+
+    async getTree(name) {
+        if(this.trees[name] === undefined) {
+            const round = this.getRound(name);
+            this.trees[name] = Promise.resolve()
+                .then(() => this.openTree(round))
+                .catch((e) => {
+                    delete this.trees[name];
+                    throw e;
+                });
+        }
+        return this.trees[name];
+    }
+
+    /**
+     * Returns an address's history over every round, oldest first, as `{round, root, eligible, entry, incremental,
+     * cumulative}`, where `eligible` says whether the address has a claim in that round's tree.
+     */
+    async getHistory(address) {
+        const history = [];
+        let cumulative = ethers.BigNumber.from(0);
+        for(const round of this.rounds) {
+            const entry = await (await this.getTree(round.name)).getEntryAsync(address);
+            if(entry !== undefined) {
+                cumulative = ethers.BigNumber.from(entry.cumulative_balance);
+            }
+            history.push({
+                round: round.name,
+                root: round.root,
+                eligible: entry !== undefined,
+                entry,
+                incremental: entry === undefined ? '0' : ethers.BigNumber.from(entry.incremental_balance).toString(),
+                cumulative: cumulative.toString(),
+            });
+        }
+        return history;
+    }
+
+    /**
+     * Creates a multi-round airdrop from a loader function. `loader(name)` is called with 'rounds' for
+     * rounds.json, and with `<round>/root` and `<round>/<shard>` for each round's tree files; see
+     * `ShardedMerkleTree.fromLoader`.
+     */
+    static async fromLoader(loader) {
+        const manifest = await loader('rounds');
+        return new this(manifest, (round) => ShardedMerkleTree.fromLoader((name) => loader(`${round.name}/${name}`)));
+    }
+
+    /**
+     * Creates a multi-round airdrop that fetches rounds.json and each round's tree files from `baseUrl`.
+     * @param fetch A fetch implementation; defaults to the global one.
+     */
+    static async fromUrl(baseUrl, fetch = globalThis.fetch) {
+        const base = baseUrl.replace(/\/+$/, '');
+        const response = await fetch(`${base}/rounds.json`);
+        if(!response.ok) {
+            throw new Error(`Failed to fetch ${base}/rounds.json: ${response.status} ${response.statusText}`);
+        }
+        return new this(await response.json(), (round) => ShardedMerkleTree.fromUrl(`${base}/${round.name}`, fetch));
+    }
+}
+
+/**
+ * Exports a tree as a flat `{address: {amount, proof}}` map. Proofs are the tree's own, so they verify against
+ * `tree.root` exactly as those from `getProof` do.
+ * @returns `{data, warnings}`, where `warnings` lists what the format cannot represent.
+ */
+async function exportFlat(tree) {
+    const data = {};
+    let extraFields = false;
+    for await (const [address] of tree.entriesAsync()) {
+        const [entry, proof] = await tree.getProofAsync(address);
+        data[address] = {amount: entry.balance.toString(), proof};
+        extraFields = extraFields || Object.keys(entry).some((key) => key !== 'balance');
+    }
+    const warnings = [
+        `The flat format does not record the root, sharding or leaf schema; proofs verify against ${tree.root} with the ${tree.leafSchema} leaf schema`,
+    ];
+    if(extraFields) {
+        warnings.push('Entry fields other than balance are not exported');
+    }
+    if(LEAF_SCHEMAS[tree.leafSchema].fields.some((field) => field !== 'balance')) {
+        warnings.push(`The ${tree.leafSchema} leaf schema hashes fields other than the amount, so leaves cannot be recomputed from this export`);
+    }
+    return {data, warnings};
+}
+
+/**
+ * Exports a tree as an OpenZeppelin `StandardMerkleTree` dump (format `standard-v1`). That format is a single
+ * unsharded tree over double-hashed `abi.encode` leaves, so the result always has a different root from the
+ * sharded tree; its proofs are sorted-pair proofs and verify with `MerkleProof.sol` against the new root.
+ * @returns `{data, root, warnings}`.
+ */
+async function exportStandard(tree) {
+    const schema = LEAF_SCHEMAS[tree.leafSchema];
+    const values = [];
+    for await (const [address, entry] of tree.entriesAsync()) {
+        values.push(schema.values(address, entry).map((value) => value.toString()));
+    }
+    const leaves = values
+        .map((value, valueIndex) => ({valueIndex, hash: ethers.utils.keccak256(ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(schema.types, value)))}))
+        .sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0));
+    const nodes = new Array(Math.max(2 * leaves.length - 1, 0));
+    const treeIndexes = new Array(values.length);
+    leaves.forEach(({valueIndex, hash}, i) => {
+        nodes[nodes.length - 1 - i] = hash;
+        treeIndexes[valueIndex] = nodes.length - 1 - i;
+    });
+    for(let i = nodes.length - 1 - leaves.length; i >= 0; i--) {
+        nodes[i] = hashPair(nodes[2 * i + 1], nodes[2 * i + 2]);
+    }
+    const root = nodes.length > 0 ? nodes[0] : undefined;
+    const warnings = [
+        `StandardMerkleTree is unsharded and has root ${root}, not ${tree.root}; claims against it need a contract deployed with the new root`,
+    ];
+    if(!schema.doubleHashed) {
+        warnings.push(`StandardMerkleTree leaves are keccak256(keccak256(abi.encode(...))), not the ${tree.leafSchema} leaf schema; ENSToken and MerkleAirdrop cannot verify them`);
+    }
+    return {
+        data: {
+            format: 'standard-v1',
+            tree: nodes,
+            values: values.map((value, i) => ({value, treeIndex: treeIndexes[i]})),
+            leafEncoding: schema.types,
+        },
+        root,
+        warnings,
+    };
+}
+
+/**
+ * Converts a flat `{address: {amount, proof}}` map into `[address, entry]` pairs for `ShardedMerkleTree.build`.
+ * @returns `{entries, root, warnings}`, where `root` is the root the imported proofs verify against, if they
+ *          all agree (assuming the default leaf schema). Rebuilding with the original shard nybbles reproduces it.
+ */
+function importFlat(data) {
+    const hashLeaf = getLeafHasher(DEFAULT_LEAF_SCHEMA);
+    const entries = [];
+    const roots = new Set();
+    for(const [address, {amount, proof}] of Object.entries(data)) {
+        const entry = {balance: ethers.BigNumber.from(amount).toString()};
+        entries.push([address, entry]);
+        if(Array.isArray(proof)) {
+            roots.add(processProof(hashLeaf([address, entry]), proof).root);
+        }
+    }
+    const warnings = [];
+    if(roots.size > 1) {
+        warnings.push(`Imported proofs verify against ${roots.size} different roots; they did not come from one ${DEFAULT_LEAF_SCHEMA} tree`);
+    }
+    return {entries, root: roots.size === 1 ? Array.from(roots)[0] : undefined, warnings};
+}
+
+/**
+ * Converts an OpenZeppelin `StandardMerkleTree` dump with an `["address", "uint256"]` leaf encoding into
+ * `[address, entry]` pairs for `ShardedMerkleTree.build`. The sharded tree built from them has a different
+ * root from the dump's.
+ * @returns `{entries, root, warnings}`, where `root` is the dump's root.
+ */
+function importStandard(data) {
+    if(data.format !== 'standard-v1') {
+        throw new Error(`Unknown StandardMerkleTree format ${data.format}`);
+    }
+    if(JSON.stringify(data.leafEncoding) !== JSON.stringify(['address', 'uint256'])) {
+        throw new Error(`Cannot import a StandardMerkleTree with leaf encoding ${JSON.stringify(data.leafEncoding)}; only ["address","uint256"] is supported`);
+    }
+    const entries = data.values.map(({value: [address, amount]}) => [address, {balance: ethers.BigNumber.from(amount).toString()}]);
+    const root = data.tree[0];
+    return {
+        entries,
+        root,
+        warnings: [`The sharded tree will not have the StandardMerkleTree's root ${root}; build it with the address-balance-double leaf schema to keep its leaf encoding`],
+    };
+}
+
+module.exports = {
+    ShardedMerkleTree,
+    AirdropRounds,
+    MerkleTree,
+    NotEligible,
+    TreeCorruptError,
+    LEAF_SCHEMAS,
+    DEFAULT_LEAF_SCHEMA,
+    getLeafHasher,
+    processProof,
+    hashPair,
+    CLAIM_FUNCTIONS,
+    encodeClaim,
+    exportFlat,
+    exportStandard,
+    importFlat,
+    importStandard,
+};
@@ -0,0 +1,20 @@
+import core from './core.js';
+
+export const {
+    ShardedMerkleTree,
+    AirdropRounds,
+    MerkleTree,
+    NotEligible,
+    TreeCorruptError,
+    LEAF_SCHEMAS,
+    DEFAULT_LEAF_SCHEMA,
+    getLeafHasher,
+    processProof,
+    hashPair,
+    CLAIM_FUNCTIONS,
+    encodeClaim,
+    exportFlat,
+    exportStandard,
+    importFlat,
+    importStandard,
+} = core;
@@ -0,0 +1,62 @@
+const { ethers } = require("ethers");
+
+const ONE_TOKEN = ethers.BigNumber.from(10).pow(18);
+
+/**
+ * Checks that a deployed governance system is wired up as the deploy scripts intend. The balance check compares
+ * the DAO, contributor, airdrop and TokenLock balances with the total supply, so it only holds until tokens are
+ * claimed or spent.
+ * @param contracts.token, contracts.timelock, contracts.governor, contracts.tokenLock Ethers contracts for
+ *        `ENSToken`, `TimelockController`, `ENSGovernor` and `TokenLock`.
+ * @param options.deployer The address that ran the deployment.
+ * @param options.tree The `ShardedMerkleTree` the token's airdrop was set up with.
+ * @param options.config The network's configuration from `getConfig`.
+ * @returns A list of `{name, pass, details}`, one per check. Checks that throw are reported as failures.
+ */
+async function checkDeployment({ token, timelock, governor, tokenLock }, { deployer, tree, config }) {
+    const checks = [
+        ['Governor holds PROPOSER_ROLE on the timelock', async () => {
+            const pass = await timelock.hasRole(await timelock.PROPOSER_ROLE(), governor.address);
+            return [pass, `governor ${governor.address}`];
+        }],
+        ['Deployer no longer holds TIMELOCK_ADMIN_ROLE', async () => {
+            const pass = !(await timelock.hasRole(await timelock.TIMELOCK_ADMIN_ROLE(), deployer));
+            return [pass, `deployer ${deployer}`];
+        }],
+        ['ENSToken is owned by the timelock', async () => {
+            const owner = await token.owner();
+            return [owner === timelock.address, `owner ${owner}, timelock ${timelock.address}`];
+        }],
+        ['ENSToken merkle root matches the tree', async () => {
+            const root = await token.merkleRoot();
+            return [root === tree.root, `contract ${root}, tree ${tree.root}`];
+        }],
+        ['TokenLock holds LOCKED_DAO_TOKENS for the timelock', async () => {
+            const locked = await tokenLock.lockedAmounts(timelock.address);
+            const expected = ONE_TOKEN.mul(config.LOCKED_DAO_TOKENS);
+            return [locked.eq(expected), `locked ${locked}, expected ${expected}`];
+        }],
+        ['Balances add up to TOTAL_SUPPLY', async () => {
+            const expected = ONE_TOKEN.mul(config.TOTAL_SUPPLY);
+            const totalSupply = await token.totalSupply();
+            const holders = {DAO: timelock.address, contributors: deployer, airdrop: token.address, TokenLock: tokenLock.address};
+            const balances = await Promise.all(Object.values(holders).map((holder) => token.balanceOf(holder)));
+            const sum = balances.reduce((a, b) => a.add(b), ethers.BigNumber.from(0));
+            const breakdown = Object.keys(holders).map((name, i) => `${name} ${balances[i]}`).join(', ');
+            return [sum.eq(expected) && totalSupply.eq(expected), `${breakdown}; sum ${sum}, totalSupply ${totalSupply}, expected ${expected}`];
+        }],
+    ];
+
+    const results = [];
+    for(const [name, check] of checks) {
+        try {
+            const [pass, details] = await check();
+            results.push({name, pass, details});
+        } catch(e) {
+            results.push({name, pass: false, details: `check failed: ${e.message}`});
+        }
+    }
+    return results;
+}
+
+module.exports = { checkDeployment };
@@ -0,0 +1,186 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const ONE_TOKEN = ethers.BigNumber.from(10).pow(18);
+
+/**
+ * Reads the balances the distribution step moves tokens between.
+ */
+async function readBalances({ token, timelock, tokenLock }, deployer) {
+    return {
+        totalSupply: await token.totalSupply(),
+        dao: await token.balanceOf(timelock.address),
+        contributors: await token.balanceOf(deployer),
+        airdrop: await token.balanceOf(token.address),
+        tokenLock: await token.balanceOf(tokenLock.address),
+        lockedDao: await tokenLock.lockedAmounts(timelock.address),
+    };
+}
+
+/**
+ * Works out the transfers that distribute the deployer's tokens: `LOCKED_DAO_TOKENS` are locked in `TokenLock`
+ * for the timelock, `TOTAL_CONTRIBUTOR_TOKENS` stay with the deployer, and the rest go to the timelock. Steps that
+ * have already been done are skipped, so the plan can be made again after a partial run.
+ * @param contracts.token, contracts.timelock, contracts.tokenLock Ethers contracts for `ENSToken`,
+ *        `TimelockController` and `TokenLock`.
+ * @param options.deployer The address holding the tokens to distribute.
+ * @param options.config The network's configuration from `getConfig`.
+ * @param options.airdropTotal The total of the airdrop tree, which `ENSToken` holds for claims.
+ * @returns `{transfers, before, expected, problems}`, where `transfers` lists `{action, to, amount}`, `before` and
+ *          `expected` are balances as returned by `readBalances`, and `problems` lists every way the current state
+ *          or the configuration diverges from a correct distribution. Nothing should be sent if there are problems.
+ */
+async function planDistribution(contracts, { deployer, config, airdropTotal }) {
+    const { timelock, tokenLock } = contracts;
+    const before = await readBalances(contracts, deployer);
+    const totalSupply = ONE_TOKEN.mul(config.TOTAL_SUPPLY);
+    const lockedDao = ONE_TOKEN.mul(config.LOCKED_DAO_TOKENS);
+    const contributors = ONE_TOKEN.mul(config.TOTAL_CONTRIBUTOR_TOKENS);
+    const airdrop = ethers.BigNumber.from(airdropTotal);
+    const problems = [];
+
+    if(!before.totalSupply.eq(totalSupply)) {
+        problems.push(`ENSToken total supply is ${before.totalSupply}, but TOTAL_SUPPLY is ${totalSupply}`);
+    }
+    if(!before.airdrop.eq(airdrop)) {
+        problems.push(`ENSToken holds ${before.airdrop} for the airdrop, but the tree total is ${airdrop}`);
+    }
+
+    const transfers = [];
+    let remaining = before.contributors;
+    if(before.lockedDao.isZero()) {
+        transfers.push({action: 'lock', to: tokenLock.address, beneficiary: timelock.address, amount: lockedDao});
+        remaining = remaining.sub(lockedDao);
+    } else if(!before.lockedDao.eq(lockedDao)) {
+        problems.push(`TokenLock already holds ${before.lockedDao} for the timelock, but LOCKED_DAO_TOKENS is ${lockedDao}`);
+    }
+    if(remaining.lt(contributors)) {
+        problems.push(`The deployer would keep ${remaining}, less than TOTAL_CONTRIBUTOR_TOKENS ${contributors}`);
+    } else if(remaining.gt(contributors)) {
+        transfers.push({action: 'transfer', to: timelock.address, amount: remaining.sub(contributors)});
+    }
+
+    const sent = (action) => transfers.filter((transfer) => transfer.action === action).reduce((sum, {amount}) => sum.add(amount), ethers.BigNumber.from(0));
+    const expected = {
+        totalSupply: before.totalSupply,
+        dao: before.dao.add(sent('transfer')),
+        contributors: before.contributors.sub(sent('lock')).sub(sent('transfer')),
+        airdrop: before.airdrop,
+        tokenLock: before.tokenLock.add(sent('lock')),
+        lockedDao: before.lockedDao.add(sent('lock')),
+    };
+    const expectedDao = totalSupply.sub(lockedDao).sub(contributors).sub(airdrop);
+    if(problems.length === 0 && !expected.dao.eq(expectedDao)) {
+        problems.push(`The DAO would hold ${expected.dao}, but TOTAL_SUPPLY less the locked, contributor and airdrop tokens is ${expectedDao}`);
+    }
+    return {transfers, before, expected, problems};
+}
+
+/**
+ * Sends a plan's transfers from the deployer, then checks the resulting balances against the plan.
+ * @returns `{transactions, after, divergences}`, where `divergences` lists balances that differ from the plan.
+ */
+async function executeDistribution(contracts, plan, deployer) {
+    const { token, tokenLock } = contracts;
+    const transactions = [];
+    for(const transfer of plan.transfers) {
+        if(transfer.action === 'lock') {
+            await (await token.approve(tokenLock.address, transfer.amount)).wait();
+            const tx = await tokenLock.lock(transfer.beneficiary, transfer.amount);
+            await tx.wait();
+            transactions.push(tx.hash);
+        } else {
+            const tx = await token.transfer(transfer.to, transfer.amount);
+            await tx.wait();
+            transactions.push(tx.hash);
+        }
+    }
+    const after = await readBalances(contracts, deployer);
+    const divergences = Object.keys(plan.expected)
+        .filter((key) => !after[key].eq(plan.expected[key]))
+        .map((key) => `${key} is ${after[key]}, expected ${plan.expected[key]}`);
+    return {transactions, after, divergences};
+}
+
+/**
+ * Thrown by `distribute` when the balances before or after the distribution diverge from the configuration;
+ * `problems` lists every divergence found and `summary` is the summary `distribute` would have returned.
+ */
+class DistributionError extends Error {
+    constructor(message, problems, summary) {
+        super(`${message}:\n${problems.map((problem) => `  ${problem}`).join('\n')}`);
+        this.name = 'DistributionError';
+        this.problems = problems;
+        this.summary = summary;
+    }
+}
+
+/**
+ * Plans the distribution, refusing to send anything if the plan has problems, then sends the transfers unless
+ * `dryRun` is set and checks the result against the plan.
+ * @param contracts As for `planDistribution`.
+ * @param options.deployer, options.config, options.airdropTotal As for `planDistribution`.
+ * @param options.dryRun If true, only plan the transfers.
+ * @param options.log A function called with a message for each planned transfer.
+ * @param options.summaryFile If set, the summary is also written here as JSON, even if the distribution fails.
+ * @returns A JSON summary of the configuration, the plan and, unless this is a dry run, the transactions sent and
+ *          the balances afterwards.
+ */
+async function distribute(contracts, { deployer, config, airdropTotal, dryRun = false, log = () => {}, summaryFile }) {
+    const save = (summary) => {
+        if(summaryFile !== undefined) {
+            fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
+        }
+        return summary;
+    };
+    const plan = await planDistribution(contracts, { deployer, config, airdropTotal });
+    const summary = {
+        dryRun,
+        deployer,
+        contracts: Object.fromEntries(Object.entries(contracts).map(([name, contract]) => [name, contract.address])),
+        config: {
+            TOTAL_SUPPLY: config.TOTAL_SUPPLY,
+            LOCKED_DAO_TOKENS: config.LOCKED_DAO_TOKENS,
+            TOTAL_CONTRIBUTOR_TOKENS: config.TOTAL_CONTRIBUTOR_TOKENS,
+        },
+        airdropTotal,
+        transfers: plan.transfers,
+        before: plan.before,
+        expected: plan.expected,
+    };
+    if(plan.problems.length > 0) {
+        throw new DistributionError('Refusing to distribute tokens', plan.problems, save(toJSON({...summary, problems: plan.problems})));
+    }
+    for(const { action, to, beneficiary, amount } of plan.transfers) {
+        const tokens = ethers.utils.formatEther(amount);
+        log(`${dryRun ? '[dry run] ' : ''}${action === 'lock' ? `Lock ${tokens} tokens in ${to} for ${beneficiary}` : `Transfer ${tokens} tokens to ${to}`}`);
+    }
+    if(dryRun) {
+        return save(toJSON(summary));
+    }
+
+    const { transactions, after, divergences } = await executeDistribution(contracts, plan, deployer);
+    Object.assign(summary, { transactions, after });
+    if(divergences.length > 0) {
+        throw new DistributionError('Balances after distributing tokens differ from the plan', divergences, save(toJSON({...summary, problems: divergences})));
+    }
+    return save(toJSON(summary));
+}
+
+/**
+ * Converts BigNumbers in a plan or result to strings, for JSON output.
+ */
+function toJSON(value) {
+    if(ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    if(Array.isArray(value)) {
+        return value.map(toJSON);
+    }
+    if(typeof value === 'object' && value !== null) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJSON(item)]));
+    }
+    return value;
+}
+
+module.exports = { distribute, planDistribution, executeDistribution, readBalances, DistributionError };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const readline = require('readline');
+
+const FORMATS = ['ndjson', 'csv', 'json'];
+
+/**
+ * Default column mappings for each input format. NDJSON input is the ENS registration airdrop format, where
+ * the balance is the sum of `past_tokens` and `future_tokens`.
+ */
+const DEFAULT_COLUMNS = {
+    ndjson: {address: 'owner', amount: ['past_tokens', 'future_tokens']},
+    csv: {address: 'address', amount: ['amount']},
+    json: {address: 'address', amount: ['amount']},
+};
+
+/**
+ * Splits one CSV line into fields. Fields may be quoted, with `""` for a literal quote; quoted fields may not
+ * span lines.
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for(let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if(quoted) {
+            if(c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if(c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if(c === '"') {
+            quoted = true;
+        } else if(c === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if(quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    fields.push(field);
+    return fields;
+}
+
+async function* readLines(file) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file, {encoding: 'utf-8'}),
+        crlfDelay: Infinity,
+    });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if(line.trim().length > 0) {
+            yield [lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line, lineNumber];
+        }
+    }
+}
+
+/**
+ * Reads airdrop input rows from a file, yielding `{line, row}` records where `row` is an object keyed by column
+ * name, or `{line, error}` for rows that could not be parsed. NDJSON and CSV files are read line by line; JSON
+ * files must hold a single array of objects and are read whole, with `line` set to the array index plus one.
+ */
+async function* readRows(file, format) {
+    if(format === 'ndjson') {
+        for await (const [line, lineNumber] of readLines(file)) {
+            try {
+                yield {line: lineNumber, row: JSON.parse(line)};
+            } catch(e) {
+                yield {line: lineNumber, error: `Invalid JSON: ${e.message}`};
+            }
+        }
+    } else if(format === 'csv') {
+        let header;
+        for await (const [line, lineNumber] of readLines(file)) {
+            let fields;
+            try {
+                fields = parseCsvLine(line);
+            } catch(e) {
+                yield {line: lineNumber, error: `Invalid CSV: ${e.message}`};
+                continue;
+            }
+            if(header === undefined) {
+                header = fields.map((name) => name.trim());
+                continue;
+            }
+            if(fields.length !== header.length) {
+                yield {line: lineNumber, error: `Expected ${header.length} fields but found ${fields.length}`};
+                continue;
+            }
+            yield {line: lineNumber, row: Object.fromEntries(header.map((name, i) => [name, fields[i].trim()]))};
+        }
+    } else if(format === 'json') {
+        const rows = JSON.parse(fs.readFileSync(file, {encoding: 'utf-8'}));
+        if(!Array.isArray(rows)) {
+            throw new Error(`${file} does not contain a JSON array`);
+        }
+        for(let i = 0; i < rows.length; i++) {
+            if(typeof rows[i] !== 'object' || rows[i] === null || Array.isArray(rows[i])) {
+                yield {line: i + 1, error: 'Expected an object'};
+            } else {
+                yield {line: i + 1, row: rows[i]};
+            }
+        }
+    } else {
+        throw new Error(`Unknown input format ${format}; expected one of ${FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Splits an input row into the recipient address, the amounts that make up its balance, and the remaining
+ * fields, which are kept on the tree entry.
+ * @param columns `{address, amount}`, where `amount` is a list of columns to add together.
+ */
+function splitRow(row, columns) {
+    const entry = {...row};
+    const owner = entry[columns.address];
+    delete entry[columns.address];
+    const amounts = Object.fromEntries(columns.amount.map((column) => [column, row[column]]));
+    return {owner, amounts, entry};
+}
+
+module.exports = { FORMATS, DEFAULT_COLUMNS, parseCsvLine, readRows, splitRow };
@@ -1,73 +1,472 @@
-const { MerkleTree } = require('merkletreejs');
-const keccak256 = require('keccak256');
 const { ethers } = require("ethers");
+const core = require('./core');
+const { MerkleTree, TreeCorruptError, DEFAULT_LEAF_SCHEMA, getLeafHasher, processProof } = core;
 
-function hashLeaf([address, entry]) {
-    return ethers.utils.solidityKeccak256(['address', 'uint256'], [address, entry.balance]);
+// Node entry point of the merkle library: the browser-safe core from `./core`, plus building and verifying
+// tree directories on disk.
+
+/**
+ * Collapses entries for the same address (compared case-insensitively) into one, at the position of the first.
+ * Throws if there are duplicates and no `merge` function to combine them.
+ */
+function mergeDuplicates(entries, merge) {
+    const positions = new Map();
+    const merged = [];
+    for(const [address, entry] of entries) {
+        const key = address.toLowerCase();
+        const position = positions.get(key);
+        if(position === undefined) {
+            positions.set(key, merged.length);
+            merged.push([address, entry]);
+        } else if(merge === undefined) {
+            throw new Error(`Duplicate entry for ${address}`);
+        } else {
+            merged[position] = [merged[position][0], merge(merged[position][1], entry, merged[position][0])];
+        }
+    }
+    return merged;
 }
 
-class ShardedMerkleTree {
-    constructor(fetcher, shardNybbles, root, total) {
-        this.fetcher = fetcher;
-        this.shardNybbles = shardNybbles;
-        this.root = root;
-        this.total = total;
-        this.shards = {};
-        this.trees = {};
+/**
+ * The largest shard nybble count automatic shard sizing will pick.
+ */
+const MAX_AUTO_SHARD_NYBBLES = 4;
+
+/**
+ * Tallies entry counts and approximate serialised sizes by address prefix, at the finest granularity automatic
+ * shard sizing considers, so shard sizes for any nybble count can be computed by summing.
+ */
+function addShardStats(stats, address, entry) {
+    const prefix = address.slice(2, 2 + MAX_AUTO_SHARD_NYBBLES).toLowerCase();
+    let stat = stats.get(prefix);
+    if(stat === undefined) {
+        stat = {entries: 0, bytes: 0};
+        stats.set(prefix, stat);
     }
+    stat.entries++;
+    stat.bytes += Buffer.byteLength(`${JSON.stringify(address)}:${JSON.stringify(entry)},`);
+}
 
-    getProof(address) {
-        const shardid = address.slice(2, 2 + this.shardNybbles).toLowerCase();
-        let shard = this.shards[shardid];
-        if(shard === undefined) {
-            shard = this.shards[shardid] = this.fetcher(shardid);
-            this.trees[shardid] = new MerkleTree(Object.entries(shard.entries).map(hashLeaf), keccak256, {sort: true});
-        }
-        const entry = shard.entries[address];
-        const leaf = hashLeaf([address, entry])
-        const proof = this.trees[shardid].getProof(leaf).map((entry) => '0x' + entry.data.toString('hex'));
-        return [entry, proof.concat(shard.proof)];
+/**
+ * Picks the smallest shard nybble count for which every shard has at most `targetShardSize` entries and
+ * serialises to at most `maxShardBytes` bytes, including its proof. Throws if even `MAX_AUTO_SHARD_NYBBLES`
+ * nybbles leave a shard over the limits.
+ */
+function chooseShardNybbles(stats, { targetShardSize = Infinity, maxShardBytes = Infinity }) {
+    let largest;
+    for(let nybbles = 1; nybbles <= MAX_AUTO_SHARD_NYBBLES; nybbles++) {
+        const shards = new Map();
+        for(const [prefix, {entries, bytes}] of stats) {
+            const shard = shards.get(prefix.slice(0, nybbles)) || {entries: 0, bytes: 0};
+            shards.set(prefix.slice(0, nybbles), {entries: shard.entries + entries, bytes: shard.bytes + bytes});
+        }
+        // Each proof element is a quoted 32-byte hex string plus a separator, and a shard's proof has one
+        // element per level of the tree of shard roots.
+        const proofBytes = Math.ceil(Math.log2(Math.max(shards.size, 1))) * 69;
+        const sizes = Array.from(shards.values())
+            .map(({entries, bytes}) => ({entries, bytes: bytes + proofBytes + '{"proof":[],"entries":{}}'.length}));
+        if(sizes.every(({entries, bytes}) => entries <= targetShardSize && bytes <= maxShardBytes)) {
+            return nybbles;
+        }
+        largest = {
+            entries: Math.max(...sizes.map(({entries}) => entries)),
+            bytes: Math.max(...sizes.map(({bytes}) => bytes)),
+        };
     }
+    throw new Error(`No shard nybble count up to ${MAX_AUTO_SHARD_NYBBLES} meets the shard size limits; the largest shard would still have ${largest.entries} entries and ${largest.bytes} bytes`);
+}
 
-    static build(entries, shardNybbles, directory) {
+function checkShardSizing(targetShardSize, maxShardBytes) {
+    if(targetShardSize === undefined && maxShardBytes === undefined) {
+        throw new Error('Automatic shard sizing requires a target shard size or a maximum shard size in bytes');
+    }
+}
+
+/**
+ * Writes a sharded tree to `directory`. `getShardEntries(shard)` is called twice per shard - once to compute
+ * the shard roots and once to write the shard files - so only one shard's entries need to be held at a time.
+ * root.json records each shard's entry count and file size.
+ */
+function writeTree(directory, shardNybbles, leafSchema, merge, shards, getShardEntries) {
+    const hashLeaf = getLeafHasher(leafSchema);
+    shards = Array.from(shards).sort();
+    let total = ethers.BigNumber.from(0);
+    const roots = Object.fromEntries(shards.map((shard) => {
+        const entries = mergeDuplicates(getShardEntries(shard), merge);
+        for(const [, entry] of entries) {
+            total = total.add(entry.balance);
+        }
+        return [shard, new MerkleTree(entries.map(hashLeaf)).getHexRoot()];
+    }));
+    const tree = new MerkleTree(Object.values(roots));
+
+    const fs = require('fs');
+    const path = require('path');
+    fs.mkdirSync(directory, {recursive: true});
+    const shardInfo = {};
+    for(const shard of shards) {
+        const entries = mergeDuplicates(getShardEntries(shard), merge);
+        const data = JSON.stringify({
+            proof: tree.getProof(roots[shard]),
+            entries: Object.fromEntries(entries),
+        });
+        fs.writeFileSync(path.join(directory, shard + '.json'), data);
+        shardInfo[shard] = {entries: entries.length, bytes: Buffer.byteLength(data)};
+    }
+    fs.writeFileSync(path.join(directory, 'root.json'), JSON.stringify({
+        root: tree.getHexRoot(),
+        shardNybbles,
+        total: total.toString(),
+        leafSchema,
+        shards: shardInfo,
+    }));
+}
+
+class ShardedMerkleTree extends core.ShardedMerkleTree {
+    /**
+     * Builds a tree from `[address, entry]` pairs and writes it to `directory`.
+     * @param shardNybbles The number of address nybbles to shard by, or undefined to pick one automatically
+     *        from `options.targetShardSize` and `options.maxShardBytes`.
+     * @param options.leafSchema The name of the leaf schema to hash entries with; see `LEAF_SCHEMAS`.
+     * @param options.merge A function `(existing, entry, address) => entry` that combines entries for the same
+     *        address. It is called before anything is written, and may be called again while writing.
+     *        Without one, duplicate addresses are an error.
+     * @param options.targetShardSize The maximum number of entries per shard when sizing shards automatically.
+     * @param options.maxShardBytes The maximum shard file size in bytes when sizing shards automatically.
+     */
+    static build(entries, shardNybbles, directory, { leafSchema = DEFAULT_LEAF_SCHEMA, merge, targetShardSize, maxShardBytes } = {}) {
+        if(shardNybbles === undefined) {
+            checkShardSizing(targetShardSize, maxShardBytes);
+            entries = Array.from(entries);
+            const stats = new Map();
+            for(const [address, entry] of entries) {
+                addShardStats(stats, address, entry);
+            }
+            shardNybbles = chooseShardNybbles(stats, {targetShardSize, maxShardBytes});
+        }
         const shards = {};
-        let total = ethers.BigNumber.from(0);
         for(const [address, entry] of entries) {
             const shard = address.slice(2, 2 + shardNybbles).toLowerCase();
             if(shards[shard] === undefined) {
                 shards[shard] = [];
             }
             shards[shard].push([address, entry]);
-            total = total.add(entry.balance);
         }
-        const roots = Object.fromEntries(Object.entries(shards)
-            .map(([shard, entries]) => [shard, new MerkleTree(entries.map(hashLeaf), keccak256, {sort: true}).getRoot()]));
-        const tree = new MerkleTree(Object.values(roots), keccak256, {sort: true});
+        writeTree(directory, shardNybbles, leafSchema, merge, Object.keys(shards), (shard) => shards[shard]);
+    }
 
+    /**
+     * Builds a tree like `build`, but from an (async) iterable of `[address, entry]` pairs, spilling entries
+     * to per-shard temporary files and building shard trees one at a time. Memory use is bounded by the
+     * largest shard rather than the whole distribution, and the output is identical to `build`'s.
+     * @param shardNybbles The number of address nybbles to shard by, or undefined to pick one automatically;
+     *        see `build`.
+     * @param options.leafSchema The name of the leaf schema to hash entries with; see `LEAF_SCHEMAS`.
+     * @param options.merge A function that combines entries for the same address; see `build`.
+     * @param options.targetShardSize The maximum number of entries per shard when sizing shards automatically.
+     * @param options.maxShardBytes The maximum shard file size in bytes when sizing shards automatically.
+     * @param options.bufferSize The number of entries to hold in memory before spilling them to disk.
+     */
+    static async buildStream(entries, shardNybbles, directory, { leafSchema = DEFAULT_LEAF_SCHEMA, merge, targetShardSize, maxShardBytes, bufferSize = 10000 } = {}) {
         const fs = require('fs');
+        const os = require('os');
         const path = require('path');
-        fs.mkdirSync(directory, {recursive: true});
-        fs.writeFileSync(path.join(directory, 'root.json'), JSON.stringify({
-            root: tree.getHexRoot(),
-            shardNybbles,
-            total: total.toString(),
-        }));
-        for(const [shard, entries] of Object.entries(shards)) {
-            fs.writeFileSync(path.join(directory, shard + '.json'), JSON.stringify({
-                proof: tree.getProof(roots[shard]).map((value) => '0x' + value.data.toString('hex')),
-                entries: Object.fromEntries(entries),
-            }));
+        if(shardNybbles === undefined) {
+            checkShardSizing(targetShardSize, maxShardBytes);
+        }
+        // When sizing automatically the shard count isn't known until every entry has been seen, so entries are
+        // spilled by a fixed prefix and tagged with their input position; shards are then reassembled in input
+        // order from one or more spill files.
+        const spillNybbles = shardNybbles === undefined ? 2 : shardNybbles;
+        const spillDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'merkle-'));
+        const spillFile = (prefix) => path.join(spillDirectory, `${prefix}.ndjson`);
+        try {
+            const prefixes = new Set();
+            const stats = new Map();
+            let buffers = {};
+            let buffered = 0;
+            let position = 0;
+            const flush = () => {
+                for(const [prefix, lines] of Object.entries(buffers)) {
+                    fs.appendFileSync(spillFile(prefix), lines.join('\n') + '\n');
+                }
+                buffers = {};
+                buffered = 0;
+            };
+
+            for await (const [address, entry] of entries) {
+                const prefix = address.slice(2, 2 + spillNybbles).toLowerCase();
+                prefixes.add(prefix);
+                if(buffers[prefix] === undefined) {
+                    buffers[prefix] = [];
+                }
+                buffers[prefix].push(JSON.stringify([position++, address, entry]));
+                if(shardNybbles === undefined) {
+                    addShardStats(stats, address, entry);
+                }
+                if(++buffered >= bufferSize) {
+                    flush();
+                }
+            }
+            flush();
+
+            if(shardNybbles === undefined) {
+                shardNybbles = chooseShardNybbles(stats, {targetShardSize, maxShardBytes});
+            }
+            const readSpill = (prefix) => fs
+                .readFileSync(spillFile(prefix), {encoding: 'utf-8'})
+                .split('\n')
+                .filter((line) => line.length > 0)
+                .map((line) => JSON.parse(line));
+            // Shards finer than the spill files only happen when sizing automatically, which tallies every prefix.
+            const shards = new Set(Array.from(shardNybbles > spillNybbles ? stats.keys() : prefixes)
+                .map((prefix) => prefix.slice(0, shardNybbles)));
+            writeTree(directory, shardNybbles, leafSchema, merge, shards, (shard) => {
+                const spilled = shardNybbles > spillNybbles
+                    ? readSpill(shard.slice(0, spillNybbles))
+                        .filter(([, address]) => address.slice(2, 2 + shardNybbles).toLowerCase() === shard)
+                    : Array.from(prefixes)
+                        .filter((prefix) => prefix.startsWith(shard))
+                        .flatMap(readSpill)
+                        .sort((a, b) => a[0] - b[0]);
+                return spilled.map(([, address, entry]) => [address, entry]);
+            });
+        } finally {
+            fs.rmSync(spillDirectory, {recursive: true, force: true});
         }
     }
 
+    /**
+     * Checks a tree directory for internal consistency: each shard's root is recomputed from its entries and
+     * checked against root.json using the shard's stored proof, every entry must be in the shard matching its
+     * address prefix, and the entry balances must add up to the recorded total.
+     * @returns A report with per-shard results; `report.ok` is false if any check failed.
+     */
+    static verify(directory) {
+        const fs = require('fs');
+        const path = require('path');
+        const { root, shardNybbles, total, leafSchema = DEFAULT_LEAF_SCHEMA, shards } = JSON.parse(fs.readFileSync(path.join(directory, 'root.json'), {encoding: 'utf-8'}));
+        const hashLeaf = getLeafHasher(leafSchema);
+        const shardPattern = new RegExp(`^[0-9a-f]{${shardNybbles}}$`);
+        const report = {directory, root, shardNybbles, leafSchema, ok: true, shards: [], errors: []};
+        let sum = ethers.BigNumber.from(0);
+        const files = fs.readdirSync(directory).filter((file) => file.endsWith('.json') && file !== 'root.json').sort();
+        for(const file of files) {
+            const shardid = path.basename(file, '.json');
+            const result = {shard: shardid, entries: 0, total: '0', root: undefined, errors: []};
+            report.shards.push(result);
+            if(!shardPattern.test(shardid)) {
+                result.errors.push(`Unexpected file ${file} for a tree with ${shardNybbles} shard nybbles`);
+                continue;
+            }
+            const info = shards?.[shardid];
+            if(shards !== undefined && info === undefined) {
+                result.errors.push('Shard is not listed in root.json');
+            }
+            let shard;
+            try {
+                const data = fs.readFileSync(path.join(directory, file), {encoding: 'utf-8'});
+                if(info !== undefined && Buffer.byteLength(data) !== info.bytes) {
+                    result.errors.push(`Shard is ${Buffer.byteLength(data)} bytes but root.json records ${info.bytes}`);
+                }
+                shard = JSON.parse(data);
+            } catch(e) {
+                result.errors.push(`Could not parse shard: ${e.message}`);
+                continue;
+            }
+            if(typeof shard.entries !== 'object' || shard.entries === null || !Array.isArray(shard.proof)) {
+                result.errors.push('Shard is missing its entries or proof');
+                continue;
+            }
+            const entries = Object.entries(shard.entries);
+            result.entries = entries.length;
+            if(info !== undefined && entries.length !== info.entries) {
+                result.errors.push(`Shard has ${entries.length} entries but root.json records ${info.entries}`);
+            }
+            let shardTotal = ethers.BigNumber.from(0);
+            const leaves = [];
+            for(const [address, entry] of entries) {
+                if(!ethers.utils.isAddress(address)) {
+                    result.errors.push(`Invalid address ${address}`);
+                    continue;
+                }
+                if(address.slice(2, 2 + shardNybbles).toLowerCase() !== shardid) {
+                    result.errors.push(`Entry ${address} belongs in shard ${address.slice(2, 2 + shardNybbles).toLowerCase()}`);
+                }
+                try {
+                    leaves.push(hashLeaf([address, entry]));
+                    shardTotal = shardTotal.add(entry.balance);
+                } catch(e) {
+                    result.errors.push(`Invalid balance for ${address}: ${e.message}`);
+                }
+            }
+            result.total = shardTotal.toString();
+            sum = sum.add(shardTotal);
+            result.root = new MerkleTree(leaves).getHexRoot();
+            if(processProof(result.root, shard.proof).root !== root) {
+                result.errors.push(`Shard root ${result.root} does not prove against tree root ${root}`);
+            }
+        }
+        for(const shardid of Object.keys(shards || {})) {
+            if(!files.includes(`${shardid}.json`)) {
+                report.errors.push(`Shard ${shardid} is listed in root.json but missing`);
+            }
+        }
+        report.total = {expected: total, actual: sum.toString()};
+        if(!sum.eq(total)) {
+            report.errors.push(`Total ${total} does not match sum of entry balances ${sum.toString()}`);
+        }
+        report.ok = report.errors.length === 0 && report.shards.every((shard) => shard.errors.length === 0);
+        return report;
+    }
+
+    static fromFiles(directory) {
+        const fs = require('fs');
+        const path = require('path');
+        const { root, shardNybbles, total, leafSchema, shards } = JSON.parse(fs.readFileSync(path.join(directory, 'root.json'), {encoding: 'utf-8'}));
+        return new this((shard) => {
+            let data;
+            try {
+                data = fs.readFileSync(path.join(directory, `${shard}.json`), {encoding: 'utf-8'});
+            } catch(e) {
+                if(e.code === 'ENOENT') {
+                    return null;
+                }
+                throw e;
+            }
+            try {
+                return JSON.parse(data);
+            } catch(e) {
+                throw new TreeCorruptError(`Shard ${shard} is not valid JSON: ${e.message}`);
+            }
+        }, shardNybbles, root, ethers.BigNumber.from(total), leafSchema, shards);
+    }
+
+}
+
+const CLAIM_MODES = ['incremental', 'cumulative'];
+// Round names become directory names, so they may not contain path separators or `..`.
+const ROUND_NAME = /^[\w.-]+$/;
+
+class AirdropRounds extends core.AirdropRounds {
     static fromFiles(directory) {
         const fs = require('fs');
         const path = require('path');
-        const { root, shardNybbles, total } = JSON.parse(fs.readFileSync(path.join(directory, 'root.json'), {encoding: 'utf-8'}));
-        return new ShardedMerkleTree((shard) => {
-            return JSON.parse(fs.readFileSync(path.join(directory, `${shard}.json`), {encoding: 'utf-8'}));
-        }, shardNybbles, root, ethers.BigNumber.from(total));
+        const manifest = JSON.parse(fs.readFileSync(path.join(directory, 'rounds.json'), {encoding: 'utf-8'}));
+        return new this(manifest, (round) => ShardedMerkleTree.fromFiles(path.join(directory, round.name)));
+    }
+
+    /**
+     * Adds a round to the multi-round airdrop in `directory`, creating it if it does not exist yet. Each entry's
+     * `balance` is the amount the round adds for that recipient, on top of their balance from earlier rounds.
+     * The round's tree is written to a subdirectory named after the round, and rounds.json is updated last.
+     * @param name The name of the round, made of letters, digits, `_`, `-` and `.` but not `..`; defaults to
+     *        `round-<n>`.
+     * @param entries An (async) iterable of `[address, entry]` pairs.
+     * @param shardNybbles The number of address nybbles to shard the round's tree by; see `ShardedMerkleTree.build`.
+     * @param options.claims 'incremental' or 'cumulative'; see `AirdropRounds` in ./core. Only the first round can
+     *        set it.
+     * @param options.leafSchema, options.merge, options.targetShardSize, options.maxShardBytes See
+     *        `ShardedMerkleTree.build`. The leaf schema must match the earlier rounds'.
+     * @returns The round's entry in rounds.json.
+     */
+    static async addRound(directory, name, entries, shardNybbles, { claims, leafSchema = DEFAULT_LEAF_SCHEMA, merge, targetShardSize, maxShardBytes } = {}) {
+        const fs = require('fs');
+        const path = require('path');
+        const manifestFile = path.join(directory, 'rounds.json');
+        const manifest = fs.existsSync(manifestFile)
+            ? JSON.parse(fs.readFileSync(manifestFile, {encoding: 'utf-8'}))
+            : {claims: claims || 'incremental', rounds: []};
+        if(!CLAIM_MODES.includes(manifest.claims)) {
+            throw new Error(`Unknown claim mode ${manifest.claims}; expected one of ${CLAIM_MODES.join(', ')}`);
+        }
+        if(claims !== undefined && claims !== manifest.claims) {
+            throw new Error(`${directory} has ${manifest.claims} claims; the claim mode cannot change between rounds`);
+        }
+        if(name === undefined) {
+            name = `round-${manifest.rounds.length + 1}`;
+        }
+        if(typeof name !== 'string' || !ROUND_NAME.test(name) || name.includes('..') || name === '.') {
+            throw new Error(`Invalid round name ${JSON.stringify(name)}; use letters, digits, '_', '-' and '.' only`);
+        }
+        if(manifest.rounds.some((round) => round.name === name) || fs.existsSync(path.join(directory, name))) {
+            throw new Error(`Round ${name} already exists in ${directory}`);
+        }
+
+        // Every recipient's latest entry. With cumulative claims the last round already holds everyone.
+        const recipients = new Map();
+        const rounds = new this(manifest, (round) => ShardedMerkleTree.fromFiles(path.join(directory, round.name)));
+        if(manifest.rounds.length > 0) {
+            const existing = (await rounds.getTree(manifest.rounds[manifest.rounds.length - 1].name)).leafSchema;
+            if(leafSchema !== existing) {
+                throw new Error(`${directory} uses the ${existing} leaf schema; the leaf schema cannot change between rounds`);
+            }
+        }
+        for(const round of manifest.claims === 'cumulative' ? manifest.rounds.slice(-1) : manifest.rounds) {
+            for await (const [address, entry] of (await rounds.getTree(round.name)).entriesAsync()) {
+                recipients.set(address.toLowerCase(), [address, entry]);
+            }
+        }
+
+        const additions = [];
+        for await (const pair of entries) {
+            additions.push(pair);
+        }
+        const updated = new Map();
+        let incrementalTotal = ethers.BigNumber.from(0);
+        let added = 0;
+        for(const [address, entry] of mergeDuplicates(additions, merge)) {
+            const increment = ethers.BigNumber.from(entry.balance);
+            if(!increment.gt(0)) {
+                throw new Error(`Entry for ${address} must add a positive balance`);
+            }
+            const key = address.toLowerCase();
+            const previous = recipients.get(key);
+            if(previous === undefined) {
+                added++;
+            }
+            const cumulative = increment.add(previous === undefined ? 0 : previous[1].cumulative_balance);
+            incrementalTotal = incrementalTotal.add(increment);
+            updated.set(key, [previous === undefined ? address : previous[0], {
+                ...entry,
+                balance: (manifest.claims === 'cumulative' ? cumulative : increment).toString(),
+                cumulative_balance: cumulative.toString(),
+                incremental_balance: increment.toString(),
+            }]);
+        }
+
+        let treeEntries = Array.from(updated.values());
+        if(manifest.claims === 'cumulative') {
+            treeEntries = Array.from(recipients.entries()).map(([key, [address, entry]]) => updated.get(key) || [address, {
+                ...entry,
+                balance: entry.cumulative_balance,
+                incremental_balance: '0',
+            }]).concat(treeEntries.filter(([address]) => !recipients.has(address.toLowerCase())));
+        }
+        const treeDirectory = path.join(directory, name);
+        ShardedMerkleTree.build(treeEntries, shardNybbles, treeDirectory, {leafSchema, targetShardSize, maxShardBytes});
+
+        const tree = ShardedMerkleTree.fromFiles(treeDirectory);
+        const previous = manifest.rounds[manifest.rounds.length - 1];
+        const round = {
+            name,
+            parent: previous === undefined ? null : previous.name,
+            root: tree.root,
+            total: tree.total.toString(),
+            incrementalTotal: incrementalTotal.toString(),
+            cumulativeTotal: incrementalTotal.add(previous === undefined ? 0 : previous.cumulativeTotal).toString(),
+            recipients: recipients.size + added,
+            added,
+            toppedUp: updated.size - added,
+        };
+        manifest.rounds.push(round);
+        fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+        return round;
     }
 }
 
-module.exports = { ShardedMerkleTree };
+module.exports = {
+    ...core,
+    ShardedMerkleTree,
+    AirdropRounds,
+};
@@ -0,0 +1,41 @@
+const { ethers } = require("ethers");
+
+const ERC20 = new ethers.utils.Interface(['function approve(address spender, uint256 amount)']);
+
+/**
+ * Builds the governance proposal that funds a `MerkleAirdrop` paying out from the timelock: a single
+ * `token.approve(airdrop, tree.total)` call, executed by the timelock. Claims revert until it passes.
+ * @param options.token The address of the token the airdrop pays out.
+ * @param options.airdrop The address of the `MerkleAirdrop`.
+ * @param options.tree The `ShardedMerkleTree` the airdrop was deployed with.
+ * @param options.title A short name for the airdrop, used in the description's heading.
+ * @param options.recipients The number of recipients in the tree, if known.
+ * @returns `{targets, values, calldatas, description}`, the arguments to `ENSGovernor.propose`.
+ */
+function airdropFundingProposal({ token, airdrop, tree, title = 'merkle airdrop', recipients }) {
+    const total = tree.total.toString();
+    const lines = [
+        `# Fund the ${title}`,
+        '',
+        `This proposal approves the MerkleAirdrop contract at ${airdrop} to transfer up to ${ethers.utils.formatUnits(total, 18)} tokens from the DAO treasury to eligible claimants.`,
+        '',
+        '## Specification',
+        '',
+        `- Token: ${token}`,
+        `- Airdrop contract: ${airdrop}`,
+        `- Merkle root: ${tree.root}`,
+        `- Total: ${total} (${ethers.utils.formatUnits(total, 18)} tokens)`,
+    ];
+    if(recipients !== undefined) {
+        lines.push(`- Recipients: ${recipients}`);
+    }
+    lines.push('', `Call: \`approve(${airdrop}, ${total})\` on ${token}, executed by the timelock.`);
+    return {
+        targets: [token],
+        values: [0],
+        calldatas: [ERC20.encodeFunctionData('approve', [airdrop, total])],
+        description: lines.join('\n'),
+    };
+}
+
+module.exports = { airdropFundingProposal };
@@ -0,0 +1,197 @@
+const { ethers } = require("ethers");
+
+const AMOUNT_PATTERN = /^(-)?(\d+)(?:\.(\d*))?$/;
+// The most significant digits a JavaScript number is guaranteed to hold exactly.
+const EXACT_DIGITS = 15;
+
+/**
+ * Thrown by `EntryValidator.finish` in strict mode when any input row had problems, and by `EntryValidator.merge`
+ * in strict mode for a duplicate owner.
+ */
+class ValidationError extends Error {
+    constructor(message, report) {
+        super(message);
+        this.name = 'ValidationError';
+        this.report = report;
+    }
+}
+
+/**
+ * Validates airdrop input rows before they are built into a tree.
+ *
+ * In strict mode every problem is recorded and `finish` throws. In lenient mode rows are fixed where possible
+ * and dropped otherwise, with a warning for each: fractional amounts are truncated to whole units (the
+ * truncated remainder is tallied as dust), rows with invalid addresses or non-positive balances are rejected,
+ * and duplicate owners, including ones that differ only in case, are merged by `merge`.
+ *
+ * Duplicates are found when the tree is built, one shard at a time, so that owners need not all be held in
+ * memory; `merge` must be passed to the build for them to be reported.
+ */
+class EntryValidator {
+    /**
+     * @param options.strict Whether to fail on problems rather than fix them.
+     * @param options.decimals The number of decimals input amounts are expressed in; amounts are converted to
+     *        base units (wei) by shifting the decimal point, so the conversion is exact.
+     * @param options.warn A function to report warnings with.
+     */
+    constructor({ strict = false, decimals = 0, warn = console.warn } = {}) {
+        this.strict = strict;
+        this.decimals = decimals;
+        this.warn = warn;
+        this.merged = new Set();
+        this.rows = 0;
+        this.accepted = 0;
+        this.rejected = [];
+        this.modified = [];
+        this.errors = [];
+        this.dust = {value: ethers.BigNumber.from(0), decimals: 0};
+        this.merge = this.merge.bind(this);
+    }
+
+    /**
+     * Validates a row and computes its balance as the sum of `amounts`.
+     * @param owner The recipient address.
+     * @param amounts An object mapping field names to the amounts that make up the balance.
+     * @param entry The entry to store in the tree; `balance` is set on it.
+     * @param line The line number of the row, for reporting.
+     * @returns An `[owner, entry]` pair, or undefined if the row was rejected.
+     */
+    validate(owner, amounts, entry, line) {
+        this.rows++;
+        if(typeof owner !== 'string' || !ethers.utils.isAddress(owner)) {
+            return this.reject(line, owner, `Invalid address ${owner}`);
+        }
+
+        const changes = [];
+        const dust = [];
+        let balance = ethers.BigNumber.from(0);
+        for(const [field, amount] of Object.entries(amounts)) {
+            if(typeof amount === 'number' && !isExactNumber(amount)) {
+                return this.reject(line, owner, `Imprecise ${field} ${amount}: the amount cannot be read exactly as a JSON number; quote it as a string`);
+            }
+            const match = AMOUNT_PATTERN.exec(amount === undefined || amount === null ? '' : amount.toString());
+            if(match === null) {
+                return this.reject(line, owner, `Invalid ${field} ${amount}`);
+            }
+            const [, negative, whole, decimal = ''] = match;
+            const integer = (whole + decimal.slice(0, this.decimals).padEnd(this.decimals, '0')).replace(/^0+(?=\d)/, '');
+            const fraction = decimal.slice(this.decimals);
+            if(negative && /[1-9]/.test(integer + fraction)) {
+                return this.reject(line, owner, `Negative ${field} ${amount}`);
+            }
+            if(/[1-9]/.test(fraction)) {
+                if(this.problem(line, owner, `Fractional ${field} ${amount}`)) {
+                    return undefined;
+                }
+                dust.push(fraction);
+                changes.push(`Truncated ${field} from ${amount} to ${integer}`);
+            }
+            balance = balance.add(integer);
+        }
+        if(balance.isZero()) {
+            return this.reject(line, owner, 'Balance is zero');
+        }
+
+        dust.forEach((fraction) => this.addDust(fraction));
+        if(changes.length > 0) {
+            this.modified.push({line, address: owner, changes});
+            for(const change of changes) {
+                this.warn(`Line ${line}: ${change}`);
+            }
+        }
+        this.accepted++;
+        entry.balance = balance.toString();
+        return [owner, entry];
+    }
+
+    /**
+     * Combines two entries for the same owner by adding their balances. Other fields are taken from the first
+     * entry. Pass as the `merge` option to `ShardedMerkleTree.build`. In strict mode, throws a `ValidationError`
+     * instead; builds find duplicates before writing anything, so no partial tree is left behind.
+     */
+    merge(existing, entry, address) {
+        if(this.strict) {
+            this.errors.push({address, reason: 'Duplicate owner'});
+            throw new ValidationError(`Duplicate owner ${address}`, this.getReport());
+        }
+        // Builds may merge each shard more than once, so each owner is only reported the first time.
+        const key = address.toLowerCase();
+        if(!this.merged.has(key)) {
+            this.merged.add(key);
+            this.modified.push({address, changes: ['Merged duplicate entries']});
+            this.warn(`${address}: Merged duplicate entries`);
+        }
+        return {...existing, balance: ethers.BigNumber.from(existing.balance).add(entry.balance).toString()};
+    }
+
+    /**
+     * Returns the machine-readable validation report. In strict mode, throws a `ValidationError` if any row
+     * had problems.
+     */
+    finish() {
+        const report = this.getReport();
+        if(this.strict && this.errors.length > 0) {
+            throw new ValidationError(`${this.errors.length} invalid input rows:\n${this.errors.map(({line, address, reason}) => `  line ${line} (${address}): ${reason}`).join('\n')}`, report);
+        }
+        return report;
+    }
+
+    getReport() {
+        return {
+            mode: this.strict ? 'strict' : 'lenient',
+            rows: this.rows,
+            accepted: this.accepted,
+            errors: this.errors,
+            rejected: this.rejected,
+            modified: this.modified,
+            dust: formatDust(this.dust),
+        };
+    }
+
+    /**
+     * Records a problem that lenient mode can fix. Returns true if the row should be dropped (strict mode).
+     */
+    problem(line, address, reason) {
+        if(this.strict) {
+            this.errors.push({line, address, reason});
+            return true;
+        }
+        return false;
+    }
+
+    reject(line, address, reason) {
+        if(!this.problem(line, address, reason)) {
+            this.rejected.push({line, address, reason});
+            this.warn(`Line ${line}: Rejected row: ${reason}`);
+        }
+        return undefined;
+    }
+
+    addDust(fraction) {
+        if(fraction.length > this.dust.decimals) {
+            this.dust.value = this.dust.value.mul(ethers.BigNumber.from(10).pow(fraction.length - this.dust.decimals));
+            this.dust.decimals = fraction.length;
+        }
+        this.dust.value = this.dust.value.add(fraction.padEnd(this.dust.decimals, '0'));
+    }
+}
+
+/**
+ * Returns whether a number parsed from JSON is known to equal the amount written in the input. Larger or more
+ * precise numbers were rounded by `JSON.parse`, so their digits cannot be trusted.
+ */
+function isExactNumber(amount) {
+    if(Number.isSafeInteger(amount)) {
+        return true;
+    }
+    const digits = String(amount);
+    return Number.isFinite(amount) && !/e/i.test(digits) && digits.replace(/\D/g, '').replace(/^0+/, '').length <= EXACT_DIGITS;
+}
+
+function formatDust({ value, decimals }) {
+    const scale = ethers.BigNumber.from(10).pow(decimals);
+    const fraction = value.mod(scale).toString().padStart(decimals, '0').replace(/0+$/, '');
+    return value.div(scale).toString() + (fraction.length > 0 ? '.' + fraction : '');
+}
+
+module.exports = { EntryValidator, ValidationError };
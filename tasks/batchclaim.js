@@ -0,0 +1,107 @@
+const { task } = require('hardhat/config');
+const { ShardedMerkleTree } = require('../src/merkle');
+const { batchClaim } = require('../src/claims');
+
+// Reads one address per line; CSV files with the address in the first column, such as claimstatus --unclaimed
+// output, work too.
+function readAddresses(file) {
+  const lines = require('fs')
+    .readFileSync(file, { encoding: 'utf-8' })
+    .split('\n')
+    .map((line) => line.split(',')[0].trim())
+    .filter((line) => line.length > 0);
+  return lines[0] === 'address' ? lines.slice(1) : lines;
+}
+
+task(
+  'batchclaim',
+  'Claims from a MerkleAirdrop on behalf of recipients that have not claimed yet'
+)
+  .addOptionalParam(
+    'tree',
+    'Directory containing the tree (defaults to airdrops/<network>)',
+    undefined
+  )
+  .addOptionalParam(
+    'airdrop',
+    'Address of the MerkleAirdrop (defaults to its deployment on this network)',
+    undefined
+  )
+  .addOptionalParam(
+    'addresses',
+    'File listing the recipients to claim for, one per line (defaults to every recipient in the tree)',
+    undefined
+  )
+  .addOptionalParam(
+    'state',
+    'File to record progress in; an interrupted run resumes from it (defaults to batchclaim-<network>.json)',
+    undefined
+  )
+  .addOptionalParam(
+    'maxGas',
+    'Maximum estimated gas of each chunk of claims sent before waiting for them to be mined',
+    5000000,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    let { tree, airdrop, addresses, state, maxGas } = args;
+    const fs = require('fs');
+    if (tree === undefined) {
+      tree = `airdrops/${hre.network.name}`;
+    }
+    if (airdrop === undefined) {
+      airdrop = (await hre.deployments.get('MerkleAirdrop')).address;
+    }
+    if (state === undefined) {
+      state = `batchclaim-${hre.network.name}.json`;
+    }
+
+    const merkleTree = ShardedMerkleTree.fromFiles(tree);
+    const [signer] = await hre.ethers.getSigners();
+    const contract = await hre.ethers.getContractAt(
+      'MerkleAirdrop',
+      airdrop,
+      signer
+    );
+    const previous = fs.existsSync(state)
+      ? JSON.parse(fs.readFileSync(state, { encoding: 'utf-8' }))
+      : undefined;
+    if (previous !== undefined) {
+      console.log(
+        `Resuming from ${state}: ${
+          Object.keys(previous.claimed).length
+        } claimed, ${Object.keys(previous.skipped).length} skipped, ${
+          Object.keys(previous.failed).length
+        } failed`
+      );
+    }
+    const recipients =
+      addresses === undefined
+        ? (async function* () {
+            for await (const [address] of merkleTree.entriesAsync()) {
+              yield address;
+            }
+          })()
+        : readAddresses(addresses);
+
+    const result = await batchClaim(merkleTree, contract, recipients, {
+      maxGas,
+      state: previous,
+      save: (progress) =>
+        fs.writeFileSync(state, JSON.stringify(progress, null, 2)),
+      log: (message) => console.log(`  ${message}`),
+    });
+    const failed = Object.entries(result.failed);
+    console.log(
+      `Claimed ${Object.keys(result.claimed).length}, skipped ${
+        Object.keys(result.skipped).length
+      }, failed ${failed.length}; progress is in ${state}`
+    );
+    for (const [address, reason] of failed) {
+      console.log(`  - ${address}: ${reason}`);
+    }
+    if (failed.length > 0) {
+      process.exitCode = 1;
+    }
+    return result;
+  });
@@ -0,0 +1,117 @@
+const { task } = require('hardhat/config');
+const { ShardedMerkleTree, CLAIM_FUNCTIONS } = require('../src/merkle');
+const {
+  fetchClaims,
+  getClaimReport,
+  unclaimedToCsv,
+} = require('../src/claims');
+
+task('claimstatus', 'Reports how much of a merkle airdrop has been claimed')
+  .addOptionalParam(
+    'tree',
+    'Directory containing the tree (defaults to airdrops/<network>)',
+    undefined
+  )
+  .addOptionalParam(
+    'contract',
+    `Claim contract to read Claim events from (${Object.keys(
+      CLAIM_FUNCTIONS
+    ).join(', ')})`,
+    'ENSToken'
+  )
+  .addOptionalParam(
+    'address',
+    'Address of the claim contract (defaults to its deployment on this network)',
+    undefined
+  )
+  .addOptionalParam(
+    'fromBlock',
+    'Block to start reading events from (defaults to the deployment block)',
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    'toBlock',
+    'Block to stop reading events at (defaults to the latest block)',
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    'blockRange',
+    'Maximum number of blocks to query events for at once',
+    10000,
+    types.int
+  )
+  .addOptionalParam(
+    'unclaimed',
+    'CSV file to write unclaimed recipients to',
+    undefined
+  )
+  .addOptionalParam('json', 'File to write the full report to as JSON', undefined)
+  .setAction(async (args, hre) => {
+    let { tree, contract, address, fromBlock, toBlock } = args;
+    const { blockRange, unclaimed, json } = args;
+    if (tree === undefined) {
+      tree = `airdrops/${hre.network.name}`;
+    }
+    if (CLAIM_FUNCTIONS[contract] === undefined) {
+      throw new Error(`Unknown claim contract ${contract}`);
+    }
+    if (address === undefined) {
+      const deployment = await hre.deployments.get(contract);
+      address = deployment.address;
+      if (fromBlock === undefined && deployment.receipt !== undefined) {
+        fromBlock = deployment.receipt.blockNumber;
+      }
+    }
+    if (fromBlock === undefined) {
+      fromBlock = 0;
+    }
+    if (toBlock === undefined) {
+      toBlock = await hre.ethers.provider.getBlockNumber();
+    }
+
+    const merkleTree = ShardedMerkleTree.fromFiles(tree);
+    const claimContract = await hre.ethers.getContractAt(contract, address);
+    const root = await claimContract.merkleRoot();
+    if (root !== merkleTree.root) {
+      console.log(
+        `WARNING: ${contract} at ${address} has merkle root ${root}, but ${tree} has root ${merkleTree.root}`
+      );
+    }
+    const claims = await fetchClaims(
+      claimContract,
+      fromBlock,
+      toBlock,
+      blockRange
+    );
+    const report = await getClaimReport(merkleTree, claims);
+    if (json !== undefined) {
+      require('fs').writeFileSync(json, JSON.stringify(report, null, 2));
+    }
+    if (unclaimed !== undefined) {
+      require('fs').writeFileSync(unclaimed, unclaimedToCsv(report));
+    }
+
+    console.log(
+      `${contract} at ${address}, blocks ${fromBlock} to ${toBlock}; tree ${tree}`
+    );
+    for (const shard of report.shards) {
+      console.log(
+        `  ${shard.shard}: ${shard.claimed.recipients} claimed (${shard.claimed.amount}), ${shard.unclaimed.recipients} unclaimed (${shard.unclaimed.amount})`
+      );
+    }
+    console.log(
+      `Claimed: ${report.claimed.recipients} recipients, ${report.claimed.amount} of ${report.total}`
+    );
+    console.log(
+      `Unclaimed: ${report.unclaimed.recipients} recipients, ${report.unclaimed.amount}`
+    );
+    for (const { address, balance, claimed } of report.mismatched) {
+      console.log(`  - ${address} claimed ${claimed} but has balance ${balance}`);
+    }
+    for (const { address, amount } of report.unknown) {
+      console.log(`  - ${address} claimed ${amount} but is not in the tree`);
+    }
+    return report;
+  });
@@ -0,0 +1,92 @@
+const { task } = require('hardhat/config');
+const { ShardedMerkleTree, DEFAULT_LEAF_SCHEMA } = require('../src/merkle');
+const { airdropFundingProposal } = require('../src/proposals');
+
+task(
+  'deployairdrop',
+  'Deploys a MerkleAirdrop for a tree and prints the proposal that funds it'
+)
+  .addParam('tree', 'Directory containing the tree')
+  .addOptionalParam(
+    'sender',
+    'Account the airdrop transfers tokens from (defaults to the TimelockController deployment)',
+    undefined
+  )
+  .addOptionalParam(
+    'token',
+    'Token the airdrop pays out (defaults to the ENSToken deployment)',
+    undefined
+  )
+  .addOptionalParam(
+    'name',
+    'Name to save the deployment under (defaults to MerkleAirdrop-<tree directory name>)',
+    undefined
+  )
+  .addOptionalParam(
+    'proposal',
+    'File to write the funding proposal to as JSON',
+    undefined
+  )
+  .setAction(async (args, hre) => {
+    const path = require('path');
+    let { tree, sender, token, name, proposal } = args;
+    if (sender === undefined) {
+      sender = (await hre.deployments.get('TimelockController')).address;
+    }
+    if (token === undefined) {
+      token = (await hre.deployments.get('ENSToken')).address;
+    }
+    if (name === undefined) {
+      name = `MerkleAirdrop-${path.basename(path.resolve(tree))}`;
+    }
+
+    const report = ShardedMerkleTree.verify(tree);
+    if (!report.ok) {
+      throw new Error(
+        `${tree} failed verification; run verifytree --tree ${tree} for details`
+      );
+    }
+    const merkleTree = ShardedMerkleTree.fromFiles(tree);
+    if (merkleTree.leafSchema !== DEFAULT_LEAF_SCHEMA) {
+      throw new Error(
+        `${tree} uses the ${merkleTree.leafSchema} leaf schema, but MerkleAirdrop only verifies ${DEFAULT_LEAF_SCHEMA} leaves, so nobody could claim from it`
+      );
+    }
+    const { deployer } = await hre.getNamedAccounts();
+    const airdrop = await hre.deployments.deploy(name, {
+      contract: 'MerkleAirdrop',
+      from: deployer,
+      args: [sender, token, merkleTree.root],
+      log: true,
+    });
+
+    const actions = airdropFundingProposal({
+      token,
+      airdrop: airdrop.address,
+      tree: merkleTree,
+      title: `${path.basename(path.resolve(tree))} airdrop`,
+      recipients: report.shards.reduce((sum, shard) => sum + shard.entries, 0),
+    });
+    if (proposal !== undefined) {
+      require('fs').writeFileSync(proposal, JSON.stringify(actions, null, 2));
+    }
+
+    console.log(
+      `${name} deployed at ${airdrop.address} with root ${merkleTree.root}, paying ${merkleTree.total} from ${sender}`
+    );
+    const timelock = await hre.deployments.getOrNull('TimelockController');
+    if (timelock === null || timelock.address !== sender) {
+      console.log(
+        `WARNING: the sender is not the timelock, so the approval below must be sent by ${sender} rather than proposed`
+      );
+    }
+    console.log('Funding proposal:');
+    console.log(`  target: ${actions.targets[0]}`);
+    console.log(`  value: ${actions.values[0]}`);
+    console.log(`  calldata: ${actions.calldatas[0]}`);
+    console.log('  description:');
+    for (const line of actions.description.split('\n')) {
+      console.log(`    ${line}`);
+    }
+    return { airdrop: airdrop.address, proposal: actions };
+  });
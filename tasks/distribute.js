@@ -0,0 +1,49 @@
+const { task } = require('hardhat/config');
+const { ShardedMerkleTree } = require('../src/merkle');
+const { getConfig } = require('../src/config');
+const { distribute } = require('../src/distribution');
+
+task(
+  'distribute',
+  'Locks the DAO tokens and transfers the rest to the timelock, checking every balance against config.js'
+)
+  .addOptionalParam(
+    'tree',
+    'Directory containing the airdrop tree (defaults to airdrops/<network>)',
+    undefined
+  )
+  .addOptionalParam(
+    'summary',
+    'File to write the JSON summary to (defaults to distribution-<network>.json)',
+    undefined
+  )
+  .addFlag('dryRun', 'Print the planned transfers without sending them')
+  .setAction(async ({ tree, summary, dryRun }, hre) => {
+    if (tree === undefined) {
+      tree = `airdrops/${hre.network.name}`;
+    }
+    if (summary === undefined) {
+      summary = `distribution-${hre.network.name}.json`;
+    }
+    const { deployer } = await hre.getNamedAccounts();
+    const result = await distribute(
+      {
+        token: await hre.ethers.getContract('ENSToken'),
+        timelock: await hre.ethers.getContract('TimelockController'),
+        tokenLock: await hre.ethers.getContract('TokenLock'),
+      },
+      {
+        deployer,
+        config: getConfig(hre.network.name),
+        airdropTotal: ShardedMerkleTree.fromFiles(tree).total,
+        dryRun,
+        log: console.log,
+        summaryFile: summary,
+      }
+    );
+    if (result.transfers.length === 0) {
+      console.log('Nothing to distribute; balances already match config.js');
+    }
+    console.log(`Wrote distribution summary to ${summary}`);
+    return result;
+  });
@@ -0,0 +1,80 @@
+const { task } = require('hardhat/config');
+const {
+  ShardedMerkleTree,
+  exportFlat,
+  exportStandard,
+  importFlat,
+  importStandard,
+} = require('../src/merkle');
+
+const EXPORTERS = { standard: exportStandard, flat: exportFlat };
+const IMPORTERS = { standard: importStandard, flat: importFlat };
+
+function printWarnings(warnings) {
+  for (const warning of warnings) {
+    console.warn(`WARNING: ${warning}`);
+  }
+}
+
+task(
+  'exporttree',
+  'Exports a merkle airdrop tree as an OpenZeppelin StandardMerkleTree dump or a flat proof map'
+)
+  .addParam('tree', 'Directory containing the tree')
+  .addParam('out', 'File to write the export to')
+  .addOptionalParam('format', 'Export format (standard, flat)', 'flat')
+  .setAction(async ({ tree, out, format }) => {
+    const exporter = EXPORTERS[format];
+    if (exporter === undefined) {
+      throw new Error(`Unknown export format ${format}`);
+    }
+    const result = await exporter(ShardedMerkleTree.fromFiles(tree));
+    require('fs').writeFileSync(out, JSON.stringify(result.data));
+    printWarnings(result.warnings);
+    console.log(`Wrote ${format} export of ${tree} to ${out}`);
+    return result;
+  });
+
+task(
+  'importtree',
+  'Builds a sharded merkle airdrop tree from an OpenZeppelin StandardMerkleTree dump or a flat proof map'
+)
+  .addParam('file', 'File to import')
+  .addParam('name', 'Name of the airdrop to write to airdrops/<name>')
+  .addOptionalParam('format', 'Import format (standard, flat)', 'flat')
+  .addOptionalParam(
+    'shardnybbles',
+    'Number of nybbles to use for sharding',
+    2,
+    types.int
+  )
+  .addOptionalParam(
+    'leafschema',
+    'Leaf encoding to build the tree with',
+    undefined
+  )
+  .setAction(async ({ file, name, format, shardnybbles, leafschema }) => {
+    const importer = IMPORTERS[format];
+    if (importer === undefined) {
+      throw new Error(`Unknown import format ${format}`);
+    }
+    const data = JSON.parse(
+      require('fs').readFileSync(file, { encoding: 'utf-8' })
+    );
+    const { entries, root, warnings } = importer(data);
+    const directory = `airdrops/${name}`;
+    ShardedMerkleTree.build(entries, shardnybbles, directory, {
+      leafSchema: leafschema,
+    });
+    const tree = ShardedMerkleTree.fromFiles(directory);
+    printWarnings(warnings);
+    if (root !== undefined && root !== tree.root) {
+      console.warn(
+        `WARNING: Built tree has root ${tree.root}, but the imported data is for root ${root}`
+      );
+    }
+    console.log(
+      `Imported ${entries.length} entries into ${directory} with root ${tree.root}`
+    );
+    return tree;
+  });
@@ -1,5 +1,12 @@
 const { task } = require('hardhat/config');
-const { ShardedMerkleTree } = require('../src/merkle');
+const {
+  ShardedMerkleTree,
+  AirdropRounds,
+  LEAF_SCHEMAS,
+  DEFAULT_LEAF_SCHEMA,
+} = require('../src/merkle');
+const { EntryValidator, ValidationError } = require('../src/validation');
+const { FORMATS, DEFAULT_COLUMNS, readRows, splitRow } = require('../src/inputs');
 
 task('maketree', 'Generates a merkle airdrop tree')
   .addParam('file', 'File to read airdrop data from')
@@ -10,15 +17,139 @@ task('maketree', 'Generates a merkle airdrop tree')
     2,
     types.int
   )
-  .setAction(async ({ file, name, shardnybbles }, hre) => {
+  .addOptionalParam(
+    'targetShardSize',
+    'Pick the number of shard nybbles automatically, keeping shards to at most this many entries',
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    'maxShardBytes',
+    'Pick the number of shard nybbles automatically, keeping shard files to at most this many bytes',
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    'leafschema',
+    `Leaf encoding to build the tree with (${Object.keys(LEAF_SCHEMAS).join(
+      ', '
+    )})`,
+    DEFAULT_LEAF_SCHEMA
+  )
+  .addOptionalParam(
+    'format',
+    `Input file format (${FORMATS.join(', ')})`,
+    'ndjson'
+  )
+  .addOptionalParam(
+    'addressColumn',
+    'Column holding recipient addresses (defaults to owner for ndjson, address otherwise)',
+    undefined
+  )
+  .addOptionalParam(
+    'amountColumn',
+    'Comma-separated columns whose amounts are added to form the balance (defaults to past_tokens,future_tokens for ndjson, amount otherwise)',
+    undefined
+  )
+  .addOptionalParam(
+    'decimals',
+    'Number of decimals input amounts are expressed in; 0 means amounts are already in wei',
+    0,
+    types.int
+  )
+  .addFlag(
+    'stream',
+    'Read the input line by line and build shards one at a time, for distributions too large to hold in memory'
+  )
+  .addOptionalParam(
+    'validation',
+    'How to handle invalid input rows: strict fails, lenient fixes or drops them with a warning',
+    'strict'
+  )
+  .addOptionalParam(
+    'report',
+    'File to write a JSON report of rejected and modified input rows to',
+    undefined
+  )
+  .addOptionalParam(
+    'round',
+    'Add the input as a new round with this name to the multi-round airdrop in the output directory; balances are added to earlier rounds',
+    undefined
+  )
+  .addOptionalParam(
+    'claims',
+    'Whether rounds claim incremental or cumulative balances; only the first round can set it',
+    undefined
+  )
+  .setAction(async (args, hre) => {
+    let { file, name, shardnybbles, leafschema, format, decimals } = args;
+    const { stream, validation, report, targetShardSize, maxShardBytes } = args;
+    const { round, claims } = args;
     if (name === undefined) {
       name = hre.network.name;
     }
-    let airdrops;
+    if (LEAF_SCHEMAS[leafschema] === undefined) {
+      throw new Error(`Unknown leaf schema ${leafschema}`);
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown input format ${format}`);
+    }
+    if (validation !== 'strict' && validation !== 'lenient') {
+      throw new Error(`Unknown validation mode ${validation}`);
+    }
+    if (decimals < 0) {
+      throw new Error('Decimals must not be negative');
+    }
+    if (round !== undefined && stream) {
+      throw new Error('Rounds are built in memory and cannot be streamed');
+    }
+    if (claims !== undefined && round === undefined) {
+      throw new Error('--claims only applies when adding a --round');
+    }
+    const columns = {
+      address: args.addressColumn || DEFAULT_COLUMNS[format].address,
+      amount: args.amountColumn
+        ? args.amountColumn.split(',').map((column) => column.trim())
+        : DEFAULT_COLUMNS[format].amount,
+    };
+    const validator = new EntryValidator({
+      strict: validation === 'strict',
+      decimals,
+    });
+    const numberEntries = LEAF_SCHEMAS[leafschema].fields.includes('index');
+    const outputDirectory = `airdrops/${name}`;
+    const treeDirectory =
+      round === undefined ? outputDirectory : `${outputDirectory}/${round}`;
+    const options = {
+      leafSchema: leafschema,
+      merge: validator.merge,
+      targetShardSize,
+      maxShardBytes,
+    };
+    if (targetShardSize !== undefined || maxShardBytes !== undefined) {
+      shardnybbles = undefined;
+    }
+    const build = async (airdrops) => {
+      if (round === undefined) {
+        ShardedMerkleTree.build(airdrops, shardnybbles, outputDirectory, options);
+        return;
+      }
+      const result = await AirdropRounds.addRound(
+        outputDirectory,
+        round,
+        airdrops,
+        shardnybbles,
+        { ...options, claims }
+      );
+      console.log(
+        `Added round ${result.name} to ${outputDirectory}: ${result.added} new recipients, ${result.toppedUp} topped up, ${result.incrementalTotal} added for a cumulative total of ${result.cumulativeTotal}; root ${result.root}`
+      );
+    };
+
     if (hre.network.tags.test) {
       shardnybbles = 1;
       const signers = await hre.ethers.getSigners();
-      airdrops = signers.slice(0, 20).map((signer, index) => [
+      const airdrops = signers.slice(0, 20).map((signer, index) => [
         signer.address,
         {
           past_tokens: '625000000000000000000000',
@@ -31,27 +162,80 @@ task('maketree', 'Generates a merkle airdrop tree')
           has_reverse_record: index % 2 == 0,
         },
       ]);
-    } else {
-      const fs = require('fs');
-      airdrops = fs
-        .readFileSync(file, { encoding: 'utf-8' })
-        .split('\n')
-        .filter((x) => x.length > 0)
-        .map((line) => {
-          const data = JSON.parse(line);
-          const owner = data.owner;
-          delete data.owner;
-          data.balance = hre.ethers.BigNumber.from(
-            data.past_tokens.toString().split('.')[0]
-          )
-            .add(
-              hre.ethers.BigNumber.from(
-                data.future_tokens.toString().split('.')[0]
-              )
-            )
-            .toString();
-          return [owner, data];
+      if (numberEntries) {
+        airdrops.forEach(([, data], index) => {
+          data.index = index;
         });
+      }
+      await build(airdrops);
+      return;
+    }
+
+    const entries = async function* () {
+      let index = 0;
+      for await (const { line, row, error } of readRows(file, format)) {
+        if (error !== undefined) {
+          validator.reject(line, undefined, error);
+          continue;
+        }
+        const { owner, amounts, entry } = splitRow(row, columns);
+        const result = validator.validate(owner, amounts, entry, line);
+        if (result === undefined) {
+          continue;
+        }
+        // Number entries in input order unless the input already assigns indexes
+        if (numberEntries && entry.index === undefined) {
+          entry.index = index;
+        }
+        index++;
+        yield result;
+      }
+      // Runs before any output is written, so strict mode failures leave no partial tree behind
+      validator.finish();
+    };
+
+    const writeReport = (result) => {
+      if (report !== undefined) {
+        require('fs').writeFileSync(report, JSON.stringify(result, null, 2));
+      }
+    };
+    try {
+      if (stream) {
+        await ShardedMerkleTree.buildStream(
+          entries(),
+          shardnybbles,
+          outputDirectory,
+          options
+        );
+      } else {
+        const airdrops = [];
+        for await (const entry of entries()) {
+          airdrops.push(entry);
+        }
+        await build(airdrops);
+      }
+    } catch (e) {
+      // The report of rejected rows matters most when validation fails;
+      // duplicate owners are only found while building
+      if (e instanceof ValidationError) {
+        writeReport(e.report);
+      }
+      throw e;
     }
-    ShardedMerkleTree.build(airdrops, shardnybbles, `airdrops/${name}`);
+    const result = validator.getReport();
+    writeReport(result);
+    console.log(
+      `Validated ${result.rows} rows: ${result.accepted} accepted, ${result.rejected.length} rejected, ${result.modified.length} modified, ${result.dust} wei of dust truncated`
+    );
+    const { shardNybbles, shards } = JSON.parse(
+      require('fs').readFileSync(`${treeDirectory}/root.json`, {
+        encoding: 'utf-8',
+      })
+    );
+    const sizes = Object.values(shards);
+    console.log(
+      `Wrote ${sizes.length} shards to ${treeDirectory} using ${shardNybbles} shard nybbles; largest shard has ${Math.max(
+        ...sizes.map(({ entries }) => entries)
+      )} entries and ${Math.max(...sizes.map(({ bytes }) => bytes))} bytes`
+    );
   });
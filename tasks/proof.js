@@ -0,0 +1,92 @@
+const { task } = require('hardhat/config');
+const {
+  ShardedMerkleTree,
+  NotEligible,
+  CLAIM_FUNCTIONS,
+  DEFAULT_LEAF_SCHEMA,
+  encodeClaim,
+  processProof,
+} = require('../src/merkle');
+
+task('proof', 'Prints the claim proof and calldata for an address')
+  .addParam('address', 'Address to generate a claim for')
+  .addOptionalParam(
+    'tree',
+    'Directory containing the tree (defaults to airdrops/<network>)',
+    undefined
+  )
+  .addOptionalParam(
+    'contract',
+    `Claim contract to encode calldata for (${Object.keys(CLAIM_FUNCTIONS).join(
+      ', '
+    )})`,
+    'ENSToken'
+  )
+  .addOptionalParam(
+    'delegate',
+    'Address to delegate claimed votes to (ENSToken only; defaults to the claimant)',
+    undefined
+  )
+  .addFlag('check', 'Verify the proof against the tree root locally')
+  .setAction(async ({ address, tree, contract, delegate, check }, hre) => {
+    if (tree === undefined) {
+      tree = `airdrops/${hre.network.name}`;
+    }
+    if (CLAIM_FUNCTIONS[contract] === undefined) {
+      throw new Error(`Unknown claim contract ${contract}`);
+    }
+    if (delegate !== undefined && contract !== 'ENSToken') {
+      throw new Error('--delegate only applies to ENSToken claims');
+    }
+    const merkleTree = ShardedMerkleTree.fromFiles(tree);
+    // The claim contracts would reject these proofs, so no calldata is produced for them
+    const claimable = merkleTree.leafSchema === DEFAULT_LEAF_SCHEMA;
+    if (!claimable) {
+      console.log(
+        `WARNING: ${tree} uses the ${merkleTree.leafSchema} leaf schema; ${contract} only verifies ${DEFAULT_LEAF_SCHEMA} leaves, so no calldata is printed`
+      );
+    }
+
+    const result = merkleTree.getProof(address);
+    if (result instanceof NotEligible) {
+      console.log(`${address} has no claim in ${tree} (root ${merkleTree.root})`);
+      process.exitCode = 1;
+      return result;
+    }
+    const [entry, proof] = result;
+    const index = merkleTree.getClaimIndex(address);
+    const calldata = claimable
+      ? encodeClaim(contract, address, entry, proof, delegate)
+      : null;
+    console.log(`Tree ${tree}, root ${merkleTree.root}`);
+    console.log(`Entry: ${JSON.stringify(entry)}`);
+    console.log('Proof:');
+    for (const element of proof) {
+      console.log(`  ${element}`);
+    }
+    console.log(`Claim index: ${index}`);
+    if (claimable) {
+      console.log(`${contract}.claimTokens calldata: ${calldata}`);
+      if (contract === 'ENSToken') {
+        console.log(`  must be sent from ${address}`);
+      }
+    }
+
+    let valid;
+    if (check) {
+      const { root } = processProof(
+        merkleTree.hashLeaf([address, entry]),
+        proof
+      );
+      valid = root === merkleTree.root;
+      if (valid) {
+        console.log('Proof verifies against the tree root');
+      } else {
+        console.log(
+          `Proof does NOT verify: computed root ${root}, tree root ${merkleTree.root}`
+        );
+        process.exitCode = 1;
+      }
+    }
+    return { address, entry, proof, index, calldata, valid };
+  });
@@ -0,0 +1,66 @@
+const { task } = require('hardhat/config');
+const { ShardedMerkleTree } = require('../src/merkle');
+
+task('treediff', 'Compares two merkle airdrop trees')
+  .addParam('from', 'Directory containing the original tree')
+  .addParam('to', 'Directory containing the new tree')
+  .addOptionalParam(
+    'json',
+    'File to write the full diff to as JSON',
+    undefined
+  )
+  .addOptionalParam(
+    'limit',
+    'Maximum number of recipients to list in each section of the summary',
+    20,
+    types.int
+  )
+  .setAction(async ({ from, to, json, limit }, hre) => {
+    const diff = await ShardedMerkleTree.diff(
+      ShardedMerkleTree.fromFiles(from),
+      ShardedMerkleTree.fromFiles(to)
+    );
+    if (json !== undefined) {
+      require('fs').writeFileSync(json, JSON.stringify(diff, null, 2));
+    }
+
+    console.log(`From ${from}: root ${diff.from.root}, total ${diff.from.total}`);
+    console.log(`To   ${to}: root ${diff.to.root}, total ${diff.to.total}`);
+    console.log(`Total change: ${diff.totalChange}`);
+    if (diff.from.leafSchema !== diff.to.leafSchema) {
+      console.log(
+        `Leaf schema changed from ${diff.from.leafSchema} to ${diff.to.leafSchema}`
+      );
+    }
+    const list = (title, items, format) => {
+      console.log(`${title}: ${items.length}`);
+      for (const item of items.slice(0, limit)) {
+        console.log(`  ${format(item)}`);
+      }
+      if (items.length > limit) {
+        console.log(`  ... and ${items.length - limit} more`);
+      }
+    };
+    list('Added', diff.added, ({ address, balance }) => `${address} ${balance}`);
+    list(
+      'Removed',
+      diff.removed,
+      ({ address, balance }) => `${address} ${balance}`
+    );
+    list(
+      'Changed',
+      diff.changed,
+      ({ address, from, to, delta }) => `${address} ${from} -> ${to} (${delta})`
+    );
+    if (diff.shardNybblesChanged) {
+      console.log(
+        `Shard nybbles changed from ${diff.from.shardNybbles} to ${diff.to.shardNybbles}; every shard differs`
+      );
+    }
+    console.log(
+      `Changed shards: ${diff.changedShards.length}${
+        diff.changedShards.length > 0 ? ` (${diff.changedShards.join(', ')})` : ''
+      }`
+    );
+    return diff;
+  });
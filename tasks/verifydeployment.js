@@ -0,0 +1,52 @@
+const { task } = require('hardhat/config');
+const { ShardedMerkleTree } = require('../src/merkle');
+const { getConfig } = require('../src/config');
+const { checkDeployment } = require('../src/deployment');
+
+task(
+  'verify-deployment',
+  'Checks the roles, ownership and token distribution of a governance deployment'
+)
+  .addOptionalParam(
+    'tree',
+    'Directory containing the airdrop tree (defaults to airdrops/<network>)',
+    undefined
+  )
+  .addOptionalParam(
+    'deployer',
+    'Address that ran the deployment (defaults to the deployer named account)',
+    undefined
+  )
+  .setAction(async ({ tree, deployer }, hre) => {
+    if (tree === undefined) {
+      tree = `airdrops/${hre.network.name}`;
+    }
+    if (deployer === undefined) {
+      ({ deployer } = await hre.getNamedAccounts());
+    }
+    const contracts = {
+      token: await hre.ethers.getContract('ENSToken'),
+      timelock: await hre.ethers.getContract('TimelockController'),
+      governor: await hre.ethers.getContract('ENSGovernor'),
+      tokenLock: await hre.ethers.getContract('TokenLock'),
+    };
+    const results = await checkDeployment(contracts, {
+      deployer,
+      tree: ShardedMerkleTree.fromFiles(tree),
+      config: getConfig(hre.network.name),
+    });
+
+    console.log(`Deployment on ${hre.network.name}`);
+    for (const { name, pass, details } of results) {
+      console.log(`  ${pass ? 'PASS' : 'FAIL'} ${name}`);
+      console.log(`       ${details}`);
+    }
+    const failed = results.filter(({ pass }) => !pass).length;
+    if (failed > 0) {
+      console.log(`${failed} of ${results.length} checks FAILED`);
+      process.exitCode = 1;
+    } else {
+      console.log(`All ${results.length} checks passed`);
+    }
+    return results;
+  });
@@ -0,0 +1,40 @@
+const { task } = require('hardhat/config');
+const { ShardedMerkleTree } = require('../src/merkle');
+
+task('verifytree', 'Checks the integrity of a merkle airdrop tree directory')
+  .addOptionalParam(
+    'tree',
+    'Directory containing the tree (defaults to airdrops/<network>)',
+    undefined
+  )
+  .setAction(async ({ tree }, hre) => {
+    if (tree === undefined) {
+      tree = `airdrops/${hre.network.name}`;
+    }
+    const report = ShardedMerkleTree.verify(tree);
+    console.log(`Tree ${tree}`);
+    console.log(`  root: ${report.root}`);
+    console.log(`  shardNybbles: ${report.shardNybbles}`);
+    for (const shard of report.shards) {
+      const status = shard.errors.length === 0 ? 'ok' : 'FAIL';
+      console.log(
+        `  ${shard.shard}: ${status} (${shard.entries} entries, total ${shard.total}, root ${shard.root})`
+      );
+      for (const error of shard.errors) {
+        console.log(`    - ${error}`);
+      }
+    }
+    console.log(
+      `  total: ${report.total.expected} recorded, ${report.total.actual} in entries`
+    );
+    for (const error of report.errors) {
+      console.log(`  - ${error}`);
+    }
+    if (report.ok) {
+      console.log('Tree is valid');
+    } else {
+      console.log('Tree verification FAILED');
+      process.exitCode = 1;
+    }
+    return report;
+  });
@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ShardedMerkleTree, CLAIM_FUNCTIONS } = require('../src/merkle');
+
+// The API reads its settings when it is loaded; serve it the hardhat tree by default, and the same entries with
+// another leaf schema.
+const TREE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+fs.cpSync('airdrops/hardhat', path.join(TREE_DIR, 'hardhat'), {recursive: true});
+process.env.TREE_DIR = TREE_DIR;
+process.env.DEFAULT_TREE = 'hardhat';
+const { serve } = require('../api');
+const { createServer } = require('../api/server');
+
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const ROOT = '0xdc11fa9fd3249811b64f70f9e0e8fd906652eece35cc97ea99fec6e5eeb7946c';
+
+// Calls the handler with a request, resolving to the response's status, headers and body.
+async function request(query, { method = 'GET', headers = {}, body } = {}) {
+    const response = {headers: {}};
+    const res = {
+        set: (name, value) => {
+            response.headers[name] = value;
+            return res;
+        },
+        status: (status) => {
+            response.status = status;
+            return res;
+        },
+        json: (body) => {
+            response.body = body;
+            return res;
+        },
+        send: (body) => {
+            response.body = body;
+            return res;
+        },
+    };
+    await serve({method, query, headers, body}, res);
+    return response;
+}
+
+describe("Scoring API", () => {
+    before(async () => {
+        const tree = ShardedMerkleTree.fromFiles('airdrops/hardhat');
+        const entries = [];
+        for await (const entry of tree.entriesAsync()) {
+            entries.push(entry);
+        }
+        ShardedMerkleTree.build(entries, 1, path.join(TREE_DIR, 'double'), {leafSchema: 'address-balance-double'});
+    });
+
+    after(() => {
+        fs.rmSync(TREE_DIR, {recursive: true, force: true});
+    });
+
+    it("should score addresses by their balance in the tree", async () => {
+        const { status, headers, body } = await request({tree: 'hardhat', addresses: `${ADDRESS.toLowerCase()},0x000000000000000000000000000000000000dEaD`});
+        expect(status).to.equal(200);
+        expect(headers['Access-Control-Allow-Origin']).to.equal('*');
+        expect(body).to.deep.equal({score: [
+            {address: ADDRESS.toLowerCase(), score: '1250000000000000000000000'},
+            {address: '0x000000000000000000000000000000000000dEaD', score: '0'},
+        ]});
+    });
+
+    it("should accept POST requests with JSON bodies", async () => {
+        const expected = {score: [{address: ADDRESS, score: '1250000000000000000000000'}]};
+        const parsed = await request({}, {method: 'POST', body: {tree: 'hardhat', addresses: [ADDRESS]}});
+        expect(parsed.status).to.equal(200);
+        expect(parsed.body).to.deep.equal(expected);
+        const raw = await request({tree: 'hardhat'}, {method: 'POST', body: JSON.stringify({addresses: [ADDRESS]})});
+        expect(raw.body).to.deep.equal(expected);
+
+        const invalid = await request({tree: 'hardhat'}, {method: 'POST', body: '{'});
+        expect(invalid.status).to.equal(400);
+        expect(invalid.body.error.code).to.equal('invalid_body');
+    });
+
+    it("should reject invalid requests with structured errors", async () => {
+        const missing = await request({tree: 'hardhat'});
+        expect(missing.status).to.equal(400);
+        expect(missing.headers['Cache-Control']).to.equal('no-store');
+        expect(missing.body).to.deep.equal({error: {code: 'missing_parameter', message: 'addresses is required', parameter: 'addresses'}});
+
+        const invalid = await request({tree: 'hardhat', addresses: `${ADDRESS},foo,0x1234`});
+        expect(invalid.status).to.equal(400);
+        expect(invalid.body.error.code).to.equal('invalid_address');
+        expect(invalid.body.error.addresses).to.deep.equal(['foo', '0x1234']);
+
+        const tooMany = await request({tree: 'hardhat', addresses: new Array(1001).fill(ADDRESS).join(',')});
+        expect(tooMany.status).to.equal(400);
+        expect(tooMany.body.error).to.include({code: 'too_many_addresses', limit: 1000});
+
+        const method = await request({tree: 'hardhat', addresses: ADDRESS}, {method: 'PUT'});
+        expect(method.status).to.equal(405);
+        expect(method.headers['Allow']).to.equal('GET, POST, OPTIONS');
+    });
+
+    it("should answer preflight requests", async () => {
+        const { status, headers } = await request({}, {method: 'OPTIONS'});
+        expect(status).to.equal(204);
+        expect(headers['Access-Control-Allow-Methods']).to.equal('GET, POST, OPTIONS');
+        expect(headers['Access-Control-Allow-Headers']).to.include('Content-Type');
+    });
+
+    it("should use the tree root as the ETag", async () => {
+        const query = {tree: 'hardhat', addresses: ADDRESS};
+        const { headers } = await request(query);
+        expect(headers['ETag']).to.equal(`"${ROOT}"`);
+        expect(headers['Cache-Control']).to.equal('public, max-age=300');
+        expect((await request(query, {headers: {'if-none-match': `"${ROOT}"`}})).status).to.equal(304);
+        expect((await request(query, {headers: {'if-none-match': '"0x1234"'}})).status).to.equal(200);
+    });
+
+    it("should return 404 for unknown trees", async () => {
+        const unknown = await request({tree: 'nonexistent', addresses: ADDRESS});
+        expect(unknown.status).to.equal(404);
+        expect(unknown.body.error.code).to.equal('unknown_tree');
+        expect((await request({tree: '../airdrops/hardhat', addresses: ADDRESS})).status).to.equal(404);
+    });
+
+    it("should return claims for eligible addresses", async () => {
+        const tree = ShardedMerkleTree.fromFiles('airdrops/hardhat');
+        const [entry, proof] = tree.getProof(ADDRESS);
+        const { status, body } = await request({tree: 'hardhat', mode: 'proof', address: ADDRESS, contract: 'MerkleAirdrop'});
+        expect(status).to.equal(200);
+        expect(body).to.deep.equal({
+            address: ADDRESS,
+            root: tree.root,
+            leafSchema: 'address-balance',
+            entry,
+            proof,
+            index: tree.getClaimIndex(ADDRESS),
+            contract: 'MerkleAirdrop',
+            calldata: new ethers.utils.Interface([CLAIM_FUNCTIONS.MerkleAirdrop]).encodeFunctionData('claimTokens', [ADDRESS, entry.balance, proof]),
+        });
+
+        const delegate = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+        const token = await request({tree: 'hardhat', mode: 'proof', address: ADDRESS, delegate});
+        expect(token.body.contract).to.equal('ENSToken');
+        expect(new ethers.utils.Interface([CLAIM_FUNCTIONS.ENSToken]).decodeFunctionData('claimTokens', token.body.calldata).delegate).to.equal(delegate);
+    });
+
+    it("should not return calldata for trees the claim contracts cannot verify", async () => {
+        const { status, body } = await request({tree: 'double', mode: 'proof', address: ADDRESS});
+        expect(status).to.equal(200);
+        expect(body.leafSchema).to.equal('address-balance-double');
+        expect(body.proof).to.have.length.above(0);
+        expect(body.calldata).to.equal(null);
+        expect(body.warning).to.match(/only verifies address-balance leaves/);
+    });
+
+    it("should return 404 for ineligible addresses and 400 for bad parameters", async () => {
+        const ineligible = await request({tree: 'hardhat', mode: 'proof', address: '0x000000000000000000000000000000000000dEaD'});
+        expect(ineligible.status).to.equal(404);
+        expect(ineligible.body.error).to.include({code: 'not_eligible', eligible: false});
+        expect(ineligible.headers['ETag']).to.equal(`"${ROOT}"`);
+
+        const codes = async (query) => (await request({tree: 'hardhat', mode: 'proof', ...query})).body.error.code;
+        expect(await codes({})).to.equal('missing_parameter');
+        expect(await codes({address: 'foo'})).to.equal('invalid_address');
+        expect(await codes({address: ADDRESS, contract: 'Foo'})).to.equal('unknown_contract');
+        expect(await codes({address: ADDRESS, contract: 'toString'})).to.equal('unknown_contract');
+        expect(await codes({address: ADDRESS, contract: 'MerkleAirdrop', delegate: ADDRESS})).to.equal('invalid_parameter');
+        expect(await codes({address: ADDRESS, delegate: 'foo'})).to.equal('invalid_address');
+        expect(await codes({mode: 'foo'})).to.equal('unknown_mode');
+    });
+
+    it("should validate voting power requests before reading the chain", async () => {
+        const codes = async (query) => (await request({addresses: ADDRESS, strategy: 'votes', ...query})).body.error.code;
+        expect(await codes({})).to.equal('missing_parameter');
+        expect(await codes({block: 'latest'})).to.equal('invalid_block');
+        expect(await codes({block: '100', include: 'tokenlock,foo'})).to.equal('invalid_parameter');
+        expect(await codes({strategy: 'foo'})).to.equal('unknown_strategy');
+    });
+
+    it("should refuse to start with invalid numeric settings", () => {
+        const module = require.resolve('../api');
+        const cached = require.cache[module];
+        try {
+            for(const [name, value] of [['MAX_ADDRESSES', 'lots'], ['CACHE_MAX_AGE', '-1'], ['MULTI_DELEGATE_BLOCK', '1e6']]) {
+                process.env[name] = value;
+                delete require.cache[module];
+                try {
+                    expect(() => require('../api')).to.throw(`${name} must be a non-negative integer`);
+                } finally {
+                    delete process.env[name];
+                }
+            }
+        } finally {
+            require.cache[module] = cached;
+        }
+    });
+
+    describe("Server", () => {
+        let server;
+        let base;
+        const logged = [];
+
+        before((done) => {
+            server = createServer({log: (line) => logged.push(line)}).listen(0, () => {
+                base = `http://localhost:${server.address().port}`;
+                done();
+            });
+        });
+
+        after((done) => {
+            server.close(done);
+        });
+
+        it("should serve health and readiness checks", async () => {
+            expect(await (await fetch(`${base}/healthz`)).json()).to.deep.equal({status: 'ok'});
+            const ready = await fetch(`${base}/readyz`);
+            expect(ready.status).to.equal(200);
+            expect((await ready.json()).status).to.equal('ready');
+        });
+
+        it("should reject oversized bodies with 413", async () => {
+            const response = await fetch(`${base}/`, {method: 'POST', headers: {'Content-Type': 'application/json'}, body: 'x'.repeat(2 * 1024 * 1024)});
+            expect(response.status).to.equal(413);
+            expect((await response.json()).error.code).to.equal('body_too_large');
+        });
+
+        it("should answer 400 for malformed request targets and keep serving", async () => {
+            const response = await new Promise((resolve, reject) => {
+                const socket = require('net').connect(server.address().port, 'localhost', () => {
+                    socket.end('GET http://%%/ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+                });
+                let data = '';
+                socket.on('data', (chunk) => {
+                    data += chunk;
+                });
+                socket.on('end', () => resolve(data));
+                socket.on('error', reject);
+            });
+            expect(response).to.match(/^HTTP\/1\.1 400 /);
+            expect(response).to.include('"invalid_url"');
+            expect((await fetch(`${base}/healthz`)).status).to.equal(200);
+        });
+
+        it("should route requests to the API handler", async () => {
+            const proof = await fetch(`${base}/proof?tree=hardhat&address=${ADDRESS}`);
+            expect(proof.status).to.equal(200);
+            expect(proof.headers.get('etag')).to.equal(`"${ROOT}"`);
+            expect((await proof.json()).root).to.equal(ROOT);
+
+            const score = await fetch(`${base}/?tree=hardhat`, {method: 'POST', headers: {'Content-Type': 'application/json'}, body: JSON.stringify({addresses: [ADDRESS]})});
+            expect(await score.json()).to.deep.equal({score: [{address: ADDRESS, score: '1250000000000000000000000'}]});
+
+            const missing = await fetch(`${base}/nonexistent`);
+            expect(missing.status).to.equal(404);
+            expect((await missing.json()).error.code).to.equal('not_found');
+            expect(logged.some((line) => /^GET \/nonexistent 404 \d+ms$/.test(line))).to.equal(true);
+        });
+    });
+});
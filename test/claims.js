@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const { ethers } = require('ethers');
+const { ShardedMerkleTree } = require('../src/merkle');
+const { fetchClaims, getClaimReport, unclaimedToCsv, batchClaim } = require('../src/claims');
+
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const NOT_IN_TREE = '0x000000000000000000000000000000000000dEaD';
+
+// Stands in for an ethers contract, serving Claim events by block number.
+function claimContract(events) {
+    const queries = [];
+    return {
+        queries,
+        filters: {Claim: () => 'Claim'},
+        queryFilter: async (filter, fromBlock, toBlock) => {
+            queries.push([fromBlock, toBlock]);
+            return events
+                .filter(({blockNumber}) => blockNumber >= fromBlock && blockNumber <= toBlock)
+                .map(({blockNumber, claimant, amount}) => ({
+                    blockNumber,
+                    transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(blockNumber), 32),
+                    args: {claimant, amount: ethers.BigNumber.from(amount)},
+                }));
+        },
+    };
+}
+
+// Stands in for a MerkleAirdrop contract. Claims by addresses in `reverting` fail gas estimation, and those in
+// `dropped` are sent but fail to be mined.
+function airdropContract(tree, { claimed = [], reverting = [], dropped = [] } = {}) {
+    const sent = [];
+    return {
+        sent,
+        address: '0x000000000000000000000000000000000000a1d0',
+        merkleRoot: async () => tree.root,
+        isClaimed: async (index) => claimed.includes(index),
+        estimateGas: {
+            claimTokens: async (recipient) => {
+                if(reverting.includes(recipient)) {
+                    throw new Error('MerkleAirdrop: Valid proof required.');
+                }
+                return ethers.BigNumber.from(100000);
+            },
+        },
+        claimTokens: async (recipient, amount, proof, overrides) => {
+            sent.push({recipient, amount, gasLimit: overrides.gasLimit.toNumber()});
+            return {
+                hash: ethers.utils.hexZeroPad(ethers.utils.hexlify(sent.length), 32),
+                wait: async () => {
+                    if(dropped.includes(recipient)) {
+                        throw new Error('transaction failed');
+                    }
+                },
+            };
+        },
+    };
+}
+
+describe("Claim status", () => {
+    let tree;
+
+    before(() => {
+        tree = ShardedMerkleTree.fromFiles('airdrops/hardhat');
+    });
+
+    it("should fetch claims in block ranges", async () => {
+        const contract = claimContract([
+            {blockNumber: 3, claimant: ADDRESS, amount: 1},
+            {blockNumber: 12, claimant: ADDRESS.toLowerCase(), amount: 2},
+            {blockNumber: 25, claimant: NOT_IN_TREE, amount: 3},
+        ]);
+        const claims = await fetchClaims(contract, 0, 24, 10);
+        expect(contract.queries).to.deep.equal([[0, 9], [10, 19], [20, 24]]);
+        expect(Array.from(claims.keys())).to.deep.equal([ADDRESS.toLowerCase()]);
+        expect(claims.get(ADDRESS.toLowerCase()).amount.toString()).to.equal('3');
+        expect(claims.get(ADDRESS.toLowerCase()).transactions).to.have.lengthOf(2);
+    });
+
+    it("should tally claimed and unclaimed recipients per shard", async () => {
+        const balance = tree.getEntry(ADDRESS).balance;
+        const claims = await fetchClaims(claimContract([
+            {blockNumber: 1, claimant: ADDRESS, amount: balance},
+            {blockNumber: 2, claimant: NOT_IN_TREE, amount: 5},
+        ]), 0, 2);
+        const report = await getClaimReport(tree, claims);
+        expect(report.claimed).to.deep.equal({recipients: 1, amount: balance});
+        expect(report.unclaimed.recipients).to.equal(19);
+        expect(ethers.BigNumber.from(report.claimed.amount).add(report.unclaimed.amount).eq(tree.total)).to.equal(true);
+        expect(report.shards.find(({shard}) => shard === '7').claimed.recipients).to.equal(1);
+        expect(report.shards.reduce((sum, shard) => sum + shard.claimed.recipients + shard.unclaimed.recipients, 0)).to.equal(20);
+        expect(report.mismatched).to.deep.equal([]);
+        expect(report.unknown.map(({address}) => address)).to.deep.equal([NOT_IN_TREE]);
+        expect(report.unclaimedRecipients.map(({address}) => address)).not.to.include(ADDRESS);
+    });
+
+    it("should flag claims that do not match the recipient's balance", async () => {
+        const claims = await fetchClaims(claimContract([{blockNumber: 1, claimant: ADDRESS, amount: 1}]), 0, 1);
+        const report = await getClaimReport(tree, claims);
+        expect(report.mismatched).to.deep.equal([{address: ADDRESS, balance: tree.getEntry(ADDRESS).balance, claimed: '1'}]);
+    });
+
+    it("should export unclaimed recipients as CSV", async () => {
+        const report = await getClaimReport(tree, new Map());
+        const lines = unclaimedToCsv(report).trim().split('\n');
+        expect(lines[0]).to.equal('address,amount,shard');
+        expect(lines).to.have.lengthOf(21);
+        expect(lines).to.include(`${ADDRESS},${tree.getEntry(ADDRESS).balance},7`);
+    });
+
+    describe("batch claims", () => {
+        let addresses;
+
+        before(async () => {
+            addresses = [];
+            for await (const [address] of tree.entriesAsync()) {
+                addresses.push(address);
+            }
+        });
+
+        it("should send claims in gas-bounded chunks and save progress after each", async () => {
+            const airdrop = airdropContract(tree);
+            const saved = [];
+            const state = await batchClaim(tree, airdrop, addresses, {
+                maxGas: 250000,
+                save: (progress) => saved.push(Object.keys(progress.claimed).length),
+            });
+            expect(airdrop.sent).to.have.lengthOf(20);
+            expect(airdrop.sent[0].gasLimit).to.equal(120000);
+            expect(saved).to.deep.equal([2, 4, 6, 8, 10, 12, 14, 16, 18, 20]);
+            expect(Object.keys(state.claimed)).to.have.lengthOf(20);
+        });
+
+        it("should skip ineligible and claimed recipients and record failures", async () => {
+            const [claimed, reverting, dropped] = addresses;
+            const airdrop = airdropContract(tree, {claimed: [tree.getClaimIndex(claimed)], reverting: [reverting], dropped: [dropped]});
+            const state = await batchClaim(tree, airdrop, [claimed, reverting, dropped, NOT_IN_TREE, ADDRESS, ADDRESS.toLowerCase()]);
+            expect(state.skipped).to.deep.equal({[claimed.toLowerCase()]: 'Already claimed', [NOT_IN_TREE.toLowerCase()]: 'Not in the tree'});
+            expect(Object.keys(state.failed)).to.deep.equal([reverting.toLowerCase(), dropped.toLowerCase()]);
+            expect(Object.keys(state.claimed)).to.deep.equal([ADDRESS.toLowerCase()]);
+            expect(airdrop.sent.map(({recipient}) => recipient)).to.deep.equal([dropped, ADDRESS]);
+        });
+
+        it("should resume from saved state, retrying only failed claims", async () => {
+            const [first, second] = addresses;
+            const state = await batchClaim(tree, airdropContract(tree, {dropped: [second]}), [first, second]);
+            expect(Object.keys(state.failed)).to.deep.equal([second.toLowerCase()]);
+            const airdrop = airdropContract(tree);
+            const resumed = await batchClaim(tree, airdrop, [first, second], {state: JSON.parse(JSON.stringify(state))});
+            expect(airdrop.sent.map(({recipient}) => recipient)).to.deep.equal([second]);
+            expect(resumed.failed).to.deep.equal({});
+            expect(Object.keys(resumed.claimed)).to.have.lengthOf(2);
+        });
+
+        it("should refuse state or a contract for a different tree", async () => {
+            const airdrop = airdropContract(tree);
+            await batchClaim(tree, airdrop, [], {state: {root: ethers.constants.HashZero, claimed: {}, skipped: {}, failed: {}}})
+                .then(() => expect.fail('expected an error'), (e) => expect(e.message).to.match(/State is for a tree/));
+            airdrop.merkleRoot = async () => ethers.constants.HashZero;
+            await batchClaim(tree, airdrop, [])
+                .then(() => expect.fail('expected an error'), (e) => expect(e.message).to.match(/has merkle root/));
+        });
+    });
+});
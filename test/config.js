@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { getConfig, ConfigError } = require('../src/config');
+
+const NETWORK = {
+    TOTAL_SUPPLY: "100000000",
+    LOCKED_DAO_TOKENS: "45000000",
+    TOTAL_CONTRIBUTOR_TOKENS: "25000000",
+    UNLOCK_BEGIN: "2021-11-04",
+    UNLOCK_CLIFF: "2022-05-04",
+    UNLOCK_END: "2025-11-04",
+    REGISTRY_ADDRESS: "0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e",
+    CLAIM_PERIOD_ENDS: "2022-05-04",
+    MIN_TIMELOCK_DELAY: "172800",
+};
+
+function problems(networks, env = {}) {
+    try {
+        getConfig('staging', {networks, env});
+    } catch(e) {
+        expect(e).to.be.instanceOf(ConfigError);
+        return e.problems;
+    }
+    expect.fail('expected a ConfigError');
+}
+
+describe("Config", () => {
+    it("should parse values into their types", () => {
+        const config = getConfig('staging', {networks: {staging: NETWORK}, env: {}});
+        expect(config.TOTAL_SUPPLY.toString()).to.equal('100000000');
+        expect(config.UNLOCK_BEGIN).to.equal(Date.UTC(2021, 10, 4) / 1000);
+        expect(config.CLAIM_PERIOD_ENDS).to.equal(Date.UTC(2022, 4, 4) / 1000);
+        expect(config.REGISTRY_ADDRESS).to.equal('0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e');
+        expect(config.MIN_TIMELOCK_DELAY).to.equal(172800);
+    });
+
+    it("should have valid configuration for every network", () => {
+        for(const network of Object.keys(require('../config'))) {
+            expect(getConfig(network, {env: {}}).TOTAL_SUPPLY.toString()).to.equal('100000000');
+        }
+        expect(() => getConfig('goerli', {env: {}})).to.throw(/No configuration for network goerli/);
+    });
+
+    it("should apply environment variable overrides", () => {
+        const config = getConfig('staging', {networks: {staging: NETWORK}, env: {
+            ENS_CLAIM_PERIOD_ENDS: '2022-01-01T12:00:00Z',
+            ENS_MIN_TIMELOCK_DELAY: '60',
+            ENS_UNLOCK_END: '',
+        }});
+        expect(config.CLAIM_PERIOD_ENDS).to.equal(Date.UTC(2022, 0, 1, 12) / 1000);
+        expect(config.MIN_TIMELOCK_DELAY).to.equal(60);
+        expect(config.UNLOCK_END).to.equal(Date.UTC(2025, 10, 4) / 1000);
+        expect(problems({staging: NETWORK}, {ENS_TOTAL_SUPPLY: '1e8'})).to.deep.equal(['ENS_TOTAL_SUPPLY must be a whole number of tokens, not "1e8"']);
+    });
+
+    it("should report every invalid, missing and unknown value", () => {
+        const { REGISTRY_ADDRESS, ...network } = NETWORK;
+        expect(problems({staging: {...network, UNLOCK_CLIFF: '2022-02-30', MIN_TIMELOCK_DELAY: '2 days', CLAIM_PERIODS_END: '2022-05-04'}})).to.deep.equal([
+            'CLAIM_PERIODS_END is not a known configuration key',
+            'UNLOCK_CLIFF must be a date (YYYY-MM-DD) or an ISO 8601 date and time with a time zone, not "2022-02-30"',
+            'REGISTRY_ADDRESS is missing',
+            'MIN_TIMELOCK_DELAY must be a whole number of seconds, not "2 days"',
+        ]);
+        expect(problems({staging: {...NETWORK, UNLOCK_CLIFF: '2021-01-01'}})).to.deep.equal(['UNLOCK_BEGIN, UNLOCK_CLIFF and UNLOCK_END must be in order']);
+        expect(problems({staging: {...NETWORK, LOCKED_DAO_TOKENS: '80000000'}})).to.deep.equal(['LOCKED_DAO_TOKENS and TOTAL_CONTRIBUTOR_TOKENS add up to more than TOTAL_SUPPLY']);
+    });
+});
@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployments, getNamedAccounts } = require("hardhat");
+const { ShardedMerkleTree } = require('../src/merkle');
+const { getConfig } = require('../src/config');
+const { checkDeployment } = require('../src/deployment');
+
+describe("Deployment checks", () => {
+    let contracts;
+    let deployer;
+    let tree;
+    let snapshot;
+
+    before(async () => {
+        ({deployer} = await getNamedAccounts());
+        tree = ShardedMerkleTree.fromFiles('airdrops/hardhat');
+        await deployments.fixture(['ENSGovernor', 'distribute', 'merkle', 'ownership']);
+        contracts = {
+            token: await ethers.getContract('ENSToken'),
+            timelock: await ethers.getContract('TimelockController'),
+            governor: await ethers.getContract('ENSGovernor'),
+            tokenLock: await ethers.getContract('TokenLock'),
+        };
+    });
+
+    beforeEach(async () => {
+        snapshot = await ethers.provider.send('evm_snapshot', []);
+    });
+
+    afterEach(async () => {
+        await ethers.provider.send('evm_revert', [snapshot]);
+    });
+
+    it("should pass every check after a full deployment", async () => {
+        const results = await checkDeployment(contracts, {deployer, tree, config: getConfig('hardhat')});
+        expect(results).to.have.lengthOf(6);
+        expect(results.filter(({pass}) => !pass)).to.deep.equal([]);
+    });
+
+    it("should fail checks that do not hold", async () => {
+        const signers = await ethers.getSigners();
+        await contracts.token.transfer(signers[5].address, 1);
+        const otherTree = ShardedMerkleTree.fromFiles('airdrops/ep2');
+        const results = await checkDeployment(contracts, {deployer, tree: otherTree, config: getConfig('hardhat')});
+        expect(results.filter(({pass}) => !pass).map(({name}) => name)).to.deep.equal([
+            'ENSToken merkle root matches the tree',
+            'Balances add up to TOTAL_SUPPLY',
+        ]);
+    });
+});
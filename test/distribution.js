@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getConfig } = require('../src/config');
+const { distribute, planDistribution, DistributionError } = require('../src/distribution');
+
+const DEPLOYER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TOKEN = '0x000000000000000000000000000000000000700c';
+const TIMELOCK = '0x000000000000000000000000000000000000714e';
+const TOKEN_LOCK = '0x000000000000000000000000000000000000100c';
+const ONE_TOKEN = ethers.BigNumber.from(10).pow(18);
+
+// Stands in for ENSToken, TimelockController and TokenLock, sharing one ledger. The deployer starts with
+// everything but the airdrop, which the token holds. A `fee` is taken from each transfer, to make balances diverge.
+function fakeContracts({ totalSupply, airdrop, fee = 0 }) {
+    const balances = {[DEPLOYER]: totalSupply.sub(airdrop), [TOKEN]: airdrop};
+    const locked = {};
+    const sent = [];
+    const balanceOf = async (address) => balances[address] || ethers.BigNumber.from(0);
+    const move = (from, to, amount) => {
+        balances[from] = balances[from].sub(amount);
+        balances[to] = (balances[to] || ethers.BigNumber.from(0)).add(amount).sub(fee);
+    };
+    const tx = (description) => {
+        sent.push(description);
+        return {hash: ethers.utils.hexZeroPad(ethers.utils.hexlify(sent.length), 32), wait: async () => {}};
+    };
+    return {
+        sent,
+        token: {
+            address: TOKEN,
+            totalSupply: async () => totalSupply,
+            balanceOf,
+            approve: async (spender, amount) => tx(`approve ${spender} ${amount}`),
+            transfer: async (to, amount) => {
+                move(DEPLOYER, to, amount);
+                return tx(`transfer ${to} ${amount}`);
+            },
+        },
+        timelock: {address: TIMELOCK},
+        tokenLock: {
+            address: TOKEN_LOCK,
+            lockedAmounts: async (address) => locked[address] || ethers.BigNumber.from(0),
+            lock: async (beneficiary, amount) => {
+                move(DEPLOYER, TOKEN_LOCK, amount);
+                locked[beneficiary] = amount;
+                return tx(`lock ${beneficiary} ${amount}`);
+            },
+        },
+    };
+}
+
+describe("Token distribution", () => {
+    const config = getConfig('hardhat', {env: {}});
+    const airdropTotal = ONE_TOKEN.mul(25000000);
+    const totalSupply = ONE_TOKEN.mul(config.TOTAL_SUPPLY);
+    let fake;
+    let contracts;
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'distribution-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    beforeEach(() => {
+        fake = fakeContracts({totalSupply, airdrop: airdropTotal});
+        contracts = {token: fake.token, timelock: fake.timelock, tokenLock: fake.tokenLock};
+    });
+
+    it("should plan the lock and the transfer to the timelock", async () => {
+        const { transfers, expected, problems } = await planDistribution(contracts, {deployer: DEPLOYER, config, airdropTotal});
+        expect(problems).to.deep.equal([]);
+        expect(transfers.map(({action, to, amount}) => [action, to, amount.toString()])).to.deep.equal([
+            ['lock', TOKEN_LOCK, ONE_TOKEN.mul(45000000).toString()],
+            ['transfer', TIMELOCK, ONE_TOKEN.mul(5000000).toString()],
+        ]);
+        expect(expected.dao.toString()).to.equal(ONE_TOKEN.mul(5000000).toString());
+        expect(expected.contributors.toString()).to.equal(ONE_TOKEN.mul(25000000).toString());
+        expect(expected.lockedDao.toString()).to.equal(ONE_TOKEN.mul(45000000).toString());
+    });
+
+    it("should send nothing on a dry run", async () => {
+        const messages = [];
+        const summary = await distribute(contracts, {deployer: DEPLOYER, config, airdropTotal, dryRun: true, log: (message) => messages.push(message)});
+        expect(fake.sent).to.deep.equal([]);
+        expect(messages).to.have.lengthOf(2);
+        expect(messages[0]).to.equal(`[dry run] Lock 45000000.0 tokens in ${TOKEN_LOCK} for ${TIMELOCK}`);
+        expect(summary.dryRun).to.equal(true);
+        expect(summary.after).to.equal(undefined);
+        expect(summary.config.TOTAL_SUPPLY).to.equal('100000000');
+    });
+
+    it("should distribute tokens, write a summary and do nothing when run again", async () => {
+        const summaryFile = path.join(directory, 'summary.json');
+        const summary = await distribute(contracts, {deployer: DEPLOYER, config, airdropTotal, summaryFile});
+        expect(summary.transactions).to.have.lengthOf(2);
+        expect(summary.after).to.deep.equal(summary.expected);
+        expect(summary.after.tokenLock).to.equal(ONE_TOKEN.mul(45000000).toString());
+        expect(JSON.parse(fs.readFileSync(summaryFile, {encoding: 'utf-8'}))).to.deep.equal(summary);
+
+        const again = await distribute(contracts, {deployer: DEPLOYER, config, airdropTotal});
+        expect(again.transfers).to.deep.equal([]);
+        expect(fake.sent).to.have.lengthOf(3);
+    });
+
+    it("should refuse to send anything when the airdrop does not match the tree", async () => {
+        const error = await distribute(contracts, {deployer: DEPLOYER, config, airdropTotal: airdropTotal.add(1)}).catch((e) => e);
+        expect(error).to.be.instanceOf(DistributionError);
+        expect(error.problems).to.have.lengthOf(1);
+        expect(error.problems[0]).to.match(/^ENSToken holds .* but the tree total is/);
+        expect(error.summary.problems).to.deep.equal(error.problems);
+        expect(fake.sent).to.deep.equal([]);
+    });
+
+    it("should refuse to send anything when the configuration does not add up", async () => {
+        const error = await distribute(contracts, {deployer: DEPLOYER, config: {...config, TOTAL_CONTRIBUTOR_TOKENS: ethers.BigNumber.from(60000000)}, airdropTotal}).catch((e) => e);
+        expect(error).to.be.instanceOf(DistributionError);
+        expect(error.problems[0]).to.match(/less than TOTAL_CONTRIBUTOR_TOKENS/);
+        expect(fake.sent).to.deep.equal([]);
+    });
+
+    it("should fail when the balances afterwards diverge from the plan", async () => {
+        fake = fakeContracts({totalSupply, airdrop: airdropTotal, fee: 1});
+        contracts = {token: fake.token, timelock: fake.timelock, tokenLock: fake.tokenLock};
+        const error = await distribute(contracts, {deployer: DEPLOYER, config, airdropTotal}).catch((e) => e);
+        expect(error).to.be.instanceOf(DistributionError);
+        expect(error.problems.map((problem) => problem.split(' ')[0])).to.deep.equal(['dao', 'tokenLock']);
+        expect(error.summary.transactions).to.have.lengthOf(2);
+    });
+});
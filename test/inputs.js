@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsvLine, readRows, splitRow, DEFAULT_COLUMNS } = require('../src/inputs');
+
+async function collect(file, format) {
+    const rows = [];
+    for await (const row of readRows(file, format)) {
+        rows.push(row);
+    }
+    return rows;
+}
+
+describe("Airdrop inputs", () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'inputs-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    it("should parse quoted CSV fields", () => {
+        expect(parseCsvLine('a,"b,c","d ""e"""')).to.deep.equal(['a', 'b,c', 'd "e"']);
+        expect(() => parseCsvLine('a,"b')).to.throw(/Unterminated/);
+    });
+
+    it("should read CSV files with a header row", async () => {
+        const file = path.join(directory, 'airdrop.csv');
+        fs.writeFileSync(file, 'address,amount\r\n0x01,1.5\r\n\r\n0x02,2,extra\r\n');
+        expect(await collect(file, 'csv')).to.deep.equal([
+            {line: 2, row: {address: '0x01', amount: '1.5'}},
+            {line: 4, error: 'Expected 2 fields but found 3'},
+        ]);
+    });
+
+    it("should read NDJSON and JSON array files", async () => {
+        const ndjson = path.join(directory, 'airdrop.ndjson');
+        fs.writeFileSync(ndjson, '{"owner":"0x01"}\nnot json\n');
+        const rows = await collect(ndjson, 'ndjson');
+        expect(rows[0]).to.deep.equal({line: 1, row: {owner: '0x01'}});
+        expect(rows[1].error).to.match(/Invalid JSON/);
+
+        const json = path.join(directory, 'airdrop.json');
+        fs.writeFileSync(json, '[{"address":"0x01","amount":1}, 5]');
+        expect(await collect(json, 'json')).to.deep.equal([
+            {line: 1, row: {address: '0x01', amount: 1}},
+            {line: 2, error: 'Expected an object'},
+        ]);
+    });
+
+    it("should map columns to addresses and amounts", () => {
+        const row = {owner: '0x01', past_tokens: '1', future_tokens: '2', has_reverse_record: true};
+        expect(splitRow(row, DEFAULT_COLUMNS.ndjson)).to.deep.equal({
+            owner: '0x01',
+            amounts: {past_tokens: '1', future_tokens: '2'},
+            entry: {past_tokens: '1', future_tokens: '2', has_reverse_record: true},
+        });
+    });
+});
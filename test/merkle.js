@@ -0,0 +1,561 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    ShardedMerkleTree,
+    AirdropRounds,
+    NotEligible,
+    TreeCorruptError,
+    getLeafHasher,
+    exportFlat,
+    exportStandard,
+    importFlat,
+    importStandard,
+    encodeClaim,
+} = require('../src/merkle');
+
+const TREE_DIRECTORY = 'airdrops/hardhat';
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const NOT_IN_TREE = '0x000000000000000000000000000000000000dEaD';
+
+const tempDirectories = [];
+
+function makeTempDirectory() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tree-'));
+    tempDirectories.push(directory);
+    return directory;
+}
+
+function copyTree(directory) {
+    const copy = makeTempDirectory();
+    for(const file of fs.readdirSync(directory)) {
+        fs.copyFileSync(path.join(directory, file), path.join(copy, file));
+    }
+    return copy;
+}
+
+function readEntries(directory) {
+    return fs.readdirSync(directory)
+        .filter((file) => file !== 'root.json')
+        .flatMap((file) => Object.entries(JSON.parse(fs.readFileSync(path.join(directory, file), {encoding: 'utf-8'})).entries));
+}
+
+function computeRoot(leaf, proof) {
+    return proof.reduce((hash, element) => hash <= element
+        ? ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [hash, element])
+        : ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [element, hash]), leaf);
+}
+
+function readDirectory(directory) {
+    return Object.fromEntries(fs.readdirSync(directory).map((file) => [file, fs.readFileSync(path.join(directory, file), {encoding: 'utf-8'})]));
+}
+
+function readJSON(name, directory = TREE_DIRECTORY) {
+    return JSON.parse(fs.readFileSync(path.join(directory, `${name}.json`), {encoding: 'utf-8'}));
+}
+
+describe("ShardedMerkleTree", () => {
+    let tree;
+
+    before(() => {
+        tree = ShardedMerkleTree.fromFiles(TREE_DIRECTORY);
+    });
+
+    after(() => {
+        for(const directory of tempDirectories) {
+            fs.rmSync(directory, {recursive: true, force: true});
+        }
+    });
+
+    describe("async fetching", () => {
+        it("should generate the same proofs as the synchronous path", async () => {
+            const fetched = [];
+            const asyncTree = await ShardedMerkleTree.fromLoader(async (name) => {
+                fetched.push(name);
+                return readJSON(name);
+            });
+            expect(asyncTree.root).to.equal(tree.root);
+            expect(asyncTree.total.eq(tree.total)).to.equal(true);
+            expect(await asyncTree.getProofAsync(ADDRESS)).to.deep.equal(tree.getProof(ADDRESS));
+            expect(fetched).to.deep.equal(['root', '7']);
+        });
+
+        it("should fetch each shard only once for concurrent requests", async () => {
+            const fetched = [];
+            const asyncTree = await ShardedMerkleTree.fromLoader(async (name) => {
+                fetched.push(name);
+                await new Promise((resolve) => setTimeout(resolve, 10));
+                return readJSON(name);
+            });
+            const proofs = await Promise.all([ADDRESS, ADDRESS, ADDRESS].map((address) => asyncTree.getProofAsync(address)));
+            expect(proofs[1]).to.deep.equal(proofs[0]);
+            expect(proofs[2]).to.deep.equal(proofs[0]);
+            expect(fetched).to.deep.equal(['root', '7']);
+        });
+
+        it("should retry shards whose fetch failed", async () => {
+            let failures = 1;
+            const asyncTree = await ShardedMerkleTree.fromLoader(async (name) => {
+                if(name !== 'root' && failures-- > 0) {
+                    throw new Error('Network error');
+                }
+                return readJSON(name);
+            });
+            let error;
+            await asyncTree.getProofAsync(ADDRESS).catch((e) => { error = e; });
+            expect(error.message).to.equal('Network error');
+            expect(await asyncTree.getProofAsync(ADDRESS)).to.deep.equal(tree.getProof(ADDRESS));
+        });
+
+        it("should keep asynchronous fetches started by the synchronous methods", async () => {
+            const fetched = [];
+            let failures = 1;
+            const asyncTree = await ShardedMerkleTree.fromLoader(async (name) => {
+                fetched.push(name);
+                if(name !== 'root' && failures-- > 0) {
+                    throw new Error('Network error');
+                }
+                return readJSON(name);
+            });
+            // The failed fetch must not surface as an unhandled rejection.
+            expect(() => asyncTree.getProof(ADDRESS)).to.throw(/use getProofAsync/);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            expect(() => asyncTree.getProof(ADDRESS)).to.throw(/use getProofAsync/);
+            expect(await asyncTree.getProofAsync(ADDRESS)).to.deep.equal(tree.getProof(ADDRESS));
+            expect(fetched).to.deep.equal(['root', '7', '7']);
+        });
+
+        it("should load trees over HTTP with fromUrl", async () => {
+            const requested = [];
+            const fetch = async (url) => {
+                requested.push(url);
+                const name = path.basename(url, '.json');
+                return {ok: true, json: async () => readJSON(name)};
+            };
+            const urlTree = await ShardedMerkleTree.fromUrl('https://example.com/airdrop/', fetch);
+            expect(await urlTree.getProofAsync(ADDRESS)).to.deep.equal(tree.getProof(ADDRESS));
+            expect(requested).to.deep.equal([
+                'https://example.com/airdrop/root.json',
+                'https://example.com/airdrop/7.json',
+            ]);
+        });
+    });
+
+    describe("lookups", () => {
+        it("should match addresses regardless of case", () => {
+            const [entry, proof] = tree.getProof(ADDRESS);
+            expect(tree.getProof(ADDRESS.toLowerCase())).to.deep.equal([entry, proof]);
+            expect(tree.getEntry(ADDRESS.toLowerCase())).to.equal(entry);
+            expect(tree.hasClaim(ADDRESS.toLowerCase())).to.equal(true);
+        });
+
+        it("should return NotEligible for addresses not in the tree", async () => {
+            expect(tree.hasClaim(NOT_IN_TREE)).to.equal(false);
+            expect(tree.getEntry(NOT_IN_TREE)).to.equal(undefined);
+            const result = tree.getProof(NOT_IN_TREE);
+            expect(result).to.be.an.instanceof(NotEligible);
+            expect(result.eligible).to.equal(false);
+            expect(await tree.hasClaimAsync(NOT_IN_TREE)).to.equal(false);
+        });
+
+        it("should treat missing shards as empty", () => {
+            const sparse = new ShardedMerkleTree(() => null, tree.shardNybbles, tree.root, tree.total);
+            expect(sparse.getProof(ADDRESS)).to.be.an.instanceof(NotEligible);
+        });
+
+        it("should reject malformed addresses", () => {
+            expect(() => tree.getProof('0x1234')).to.throw(TypeError);
+            expect(() => tree.hasClaim(ADDRESS.replace('C8', 'c8'))).to.throw(TypeError);
+        });
+
+        it("should report corrupt shards", () => {
+            const corrupt = new ShardedMerkleTree(() => ({proof: [], entries: {[ADDRESS]: {}}}), tree.shardNybbles, tree.root, tree.total);
+            expect(() => corrupt.getProof(ADDRESS)).to.throw(TreeCorruptError);
+        });
+    });
+
+    describe("verify", () => {
+        it("should accept a consistent tree", () => {
+            const report = ShardedMerkleTree.verify(TREE_DIRECTORY);
+            expect(report.ok).to.equal(true);
+            expect(report.shards.length).to.equal(fs.readdirSync(TREE_DIRECTORY).length - 1);
+            expect(report.total.actual).to.equal(tree.total.toString());
+        });
+
+        it("should detect tampered balances", () => {
+            const directory = copyTree(TREE_DIRECTORY);
+            const shard = JSON.parse(fs.readFileSync(path.join(directory, '7.json'), {encoding: 'utf-8'}));
+            shard.entries[ADDRESS].balance = '1';
+            fs.writeFileSync(path.join(directory, '7.json'), JSON.stringify(shard));
+            const report = ShardedMerkleTree.verify(directory);
+            expect(report.ok).to.equal(false);
+            expect(report.shards.find((result) => result.shard === '7').errors).to.have.lengthOf(1);
+            expect(report.errors).to.have.lengthOf(1);
+        });
+
+        it("should detect entries in the wrong shard", () => {
+            const directory = copyTree(TREE_DIRECTORY);
+            fs.renameSync(path.join(directory, '7.json'), path.join(directory, '6.json'));
+            const report = ShardedMerkleTree.verify(directory);
+            expect(report.ok).to.equal(false);
+            expect(report.shards.find((result) => result.shard === '6').errors[0]).to.match(/belongs in shard 7/);
+        });
+    });
+
+    describe("leaf schemas", () => {
+        it("should default to the encoding used by the claim contracts", () => {
+            const [entry, proof] = tree.getProof(ADDRESS);
+            expect(tree.leafSchema).to.equal('address-balance');
+            const leaf = ethers.utils.solidityKeccak256(['address', 'uint256'], [ADDRESS, entry.balance]);
+            expect(computeRoot(leaf, proof)).to.equal(tree.root);
+        });
+
+        it("should record the schema in root.json and generate proofs with it", () => {
+            const directory = makeTempDirectory();
+            ShardedMerkleTree.build(readEntries(TREE_DIRECTORY), 1, directory, {leafSchema: 'address-balance-double'});
+            const doubleTree = ShardedMerkleTree.fromFiles(directory);
+            expect(doubleTree.leafSchema).to.equal('address-balance-double');
+            expect(doubleTree.root).to.not.equal(tree.root);
+            const [entry, proof] = doubleTree.getProof(ADDRESS);
+            const leaf = ethers.utils.keccak256(ethers.utils.keccak256(
+                ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [ADDRESS, entry.balance])));
+            expect(computeRoot(leaf, proof)).to.equal(doubleTree.root);
+            expect(ShardedMerkleTree.verify(directory).ok).to.equal(true);
+        });
+
+        it("should require the fields a schema uses", () => {
+            const hashLeaf = getLeafHasher('index-address-balance');
+            expect(() => hashLeaf([ADDRESS, {balance: '1'}])).to.throw(/missing field index/);
+            expect(hashLeaf([ADDRESS, {index: 3, balance: '1'}])).to.equal(
+                ethers.utils.solidityKeccak256(['uint256', 'address', 'uint256'], [3, ADDRESS, '1']));
+        });
+
+        it("should reject unknown schemas", () => {
+            expect(() => ShardedMerkleTree.build([], 1, makeTempDirectory(), {leafSchema: 'nonexistent'})).to.throw(/Unknown leaf schema/);
+        });
+    });
+
+    describe("buildStream", () => {
+        it("should produce the same files as build", async () => {
+            const entries = readEntries(TREE_DIRECTORY);
+            const expected = makeTempDirectory();
+            ShardedMerkleTree.build(entries, 1, expected);
+            const actual = makeTempDirectory();
+            async function* generate() {
+                yield* entries;
+            }
+            await ShardedMerkleTree.buildStream(generate(), 1, actual, {bufferSize: 3});
+            expect(readDirectory(actual)).to.deep.equal(readDirectory(expected));
+            expect(readJSON('root', actual).root).to.equal(tree.root);
+        });
+    });
+
+    describe("duplicate addresses", () => {
+        const entries = [
+            [ADDRESS, {balance: '10'}],
+            [NOT_IN_TREE, {balance: '1'}],
+            [ADDRESS.toLowerCase(), {balance: '5'}],
+        ];
+
+        it("should be rejected by default", () => {
+            expect(() => ShardedMerkleTree.build(entries, 1, makeTempDirectory())).to.throw(/Duplicate entry/);
+        });
+
+        it("should be combined with a merge function", () => {
+            const directory = makeTempDirectory();
+            const merge = (existing, entry) => ({balance: ethers.BigNumber.from(existing.balance).add(entry.balance).toString()});
+            ShardedMerkleTree.build(entries, 1, directory, {merge});
+            const merged = ShardedMerkleTree.fromFiles(directory);
+            expect(merged.total.toString()).to.equal('16');
+            expect(merged.getEntry(ADDRESS)).to.deep.equal({balance: '15'});
+            expect(Object.keys(readJSON('7', directory).entries)).to.deep.equal([ADDRESS]);
+        });
+    });
+
+    describe("claim indexes", () => {
+        it("should match the index MerkleProof.verify computes", () => {
+            const [entry, proof] = tree.getProof(ADDRESS);
+            const leaf = ethers.utils.solidityKeccak256(['address', 'uint256'], [ADDRESS, entry.balance]);
+            let index = 0;
+            let hash = leaf;
+            for(const element of proof) {
+                index = index * 2 + (hash <= element ? 0 : 1);
+                hash = computeRoot(hash, [element]);
+            }
+            expect(tree.getClaimIndex(ADDRESS)).to.equal(index);
+            expect(tree.getClaimIndex(NOT_IN_TREE)).to.equal(undefined);
+        });
+
+        it("should check isClaimed on the given contract", async () => {
+            const checked = [];
+            const contract = {isClaimed: async (index) => { checked.push(index); return true; }};
+            const status = await tree.getClaimStatus(ADDRESS, contract);
+            expect(status.eligible).to.equal(true);
+            expect(status.claimed).to.equal(true);
+            expect(checked).to.deep.equal([tree.getClaimIndex(ADDRESS)]);
+            expect((await tree.getClaimStatus(NOT_IN_TREE, contract)).eligible).to.equal(false);
+            expect(checked).to.have.lengthOf(1);
+        });
+
+        it("should encode claim calldata for ENSToken and MerkleAirdrop", () => {
+            const [entry, proof] = tree.getProof(ADDRESS);
+            const token = new ethers.utils.Interface(['function claimTokens(uint256 amount, address delegate, bytes32[] merkleProof)']);
+            const airdrop = new ethers.utils.Interface(['function claimTokens(address recipient, uint256 amount, bytes32[] merkleProof)']);
+            const tokenArgs = token.decodeFunctionData('claimTokens', encodeClaim('ENSToken', ADDRESS, entry, proof, NOT_IN_TREE));
+            expect([tokenArgs.amount.toString(), tokenArgs.delegate, tokenArgs.merkleProof]).to.deep.equal([entry.balance, NOT_IN_TREE, proof]);
+            expect(token.decodeFunctionData('claimTokens', encodeClaim('ENSToken', ADDRESS, entry, proof)).delegate).to.equal(ADDRESS);
+            const airdropArgs = airdrop.decodeFunctionData('claimTokens', encodeClaim('MerkleAirdrop', ADDRESS, entry, proof));
+            expect([airdropArgs.recipient, airdropArgs.amount.toString(), airdropArgs.merkleProof]).to.deep.equal([ADDRESS, entry.balance, proof]);
+            expect(() => encodeClaim('TokenLock', ADDRESS, entry, proof)).to.throw(/Unknown claim contract/);
+        });
+    });
+
+    describe("diff", () => {
+        it("should report no differences between identical trees", async () => {
+            const diff = await ShardedMerkleTree.diff(tree, ShardedMerkleTree.fromFiles(TREE_DIRECTORY));
+            expect(diff.added).to.have.lengthOf(0);
+            expect(diff.removed).to.have.lengthOf(0);
+            expect(diff.changed).to.have.lengthOf(0);
+            expect(diff.totalChange).to.equal('0');
+            expect(diff.changedShards).to.have.lengthOf(0);
+        });
+
+        it("should list added, removed and changed recipients", async () => {
+            const entries = readEntries(TREE_DIRECTORY)
+                .filter(([address]) => address !== ADDRESS)
+                .map(([address, entry]) => [address, address.startsWith('0x3') ? {...entry, balance: '1'} : entry]);
+            entries.push([NOT_IN_TREE, {balance: '5'}]);
+            const directory = makeTempDirectory();
+            ShardedMerkleTree.build(entries, 1, directory);
+            const diff = await ShardedMerkleTree.diff(tree, ShardedMerkleTree.fromFiles(directory));
+            expect(diff.added).to.deep.equal([{address: NOT_IN_TREE, balance: '5'}]);
+            expect(diff.removed.map(({address}) => address)).to.deep.equal([ADDRESS]);
+            expect(diff.changed.map(({to}) => to)).to.deep.equal(['1']);
+            expect(diff.changedShards).to.deep.equal(['0', '3', '7']);
+            const expectedChange = ethers.BigNumber.from(5)
+                .sub(tree.getEntry(ADDRESS).balance)
+                .add(diff.changed[0].delta);
+            expect(diff.totalChange).to.equal(expectedChange.toString());
+        });
+    });
+
+    describe("automatic shard sizing", () => {
+        it("should pick the fewest nybbles that keep shards within the target size", () => {
+            const directory = makeTempDirectory();
+            ShardedMerkleTree.build(readEntries(TREE_DIRECTORY), undefined, directory, {targetShardSize: 3});
+            const { shardNybbles, shards } = readJSON('root', directory);
+            expect(shardNybbles).to.equal(1);
+            expect(Math.max(...Object.values(shards).map(({entries}) => entries))).to.equal(3);
+
+            ShardedMerkleTree.build(readEntries(TREE_DIRECTORY), undefined, directory, {targetShardSize: 1});
+            expect(readJSON('root', directory).shardNybbles).to.equal(2);
+        });
+
+        it("should keep shard files within the maximum size", () => {
+            const directory = makeTempDirectory();
+            ShardedMerkleTree.build(readEntries(TREE_DIRECTORY), undefined, directory, {maxShardBytes: 1000});
+            const { shardNybbles, shards } = readJSON('root', directory);
+            expect(shardNybbles).to.equal(2);
+            for(const [shard, {bytes}] of Object.entries(shards)) {
+                expect(bytes).to.equal(fs.statSync(path.join(directory, `${shard}.json`)).size);
+                expect(bytes).to.be.at.most(1000);
+            }
+        });
+
+        it("should produce the same files when streaming", async () => {
+            const entries = readEntries(TREE_DIRECTORY);
+            async function* generate() {
+                yield* entries;
+            }
+            for(const options of [{targetShardSize: 3}, {targetShardSize: 1}]) {
+                const expected = makeTempDirectory();
+                ShardedMerkleTree.build(entries, undefined, expected, options);
+                const actual = makeTempDirectory();
+                await ShardedMerkleTree.buildStream(generate(), undefined, actual, {...options, bufferSize: 3});
+                expect(readDirectory(actual)).to.deep.equal(readDirectory(expected));
+            }
+        });
+
+        it("should fail when no shard nybble count meets the limits", async () => {
+            const entries = readEntries(TREE_DIRECTORY);
+            expect(() => ShardedMerkleTree.build(entries, undefined, makeTempDirectory(), {maxShardBytes: 10}))
+                .to.throw(/No shard nybble count up to 4 meets the shard size limits/);
+            async function* generate() {
+                yield* entries;
+            }
+            let error;
+            try {
+                await ShardedMerkleTree.buildStream(generate(), undefined, makeTempDirectory(), {maxShardBytes: 10});
+            } catch(e) {
+                error = e;
+            }
+            expect(error.message).to.match(/No shard nybble count up to 4 meets the shard size limits/);
+        });
+
+        it("should require a size target", () => {
+            expect(() => ShardedMerkleTree.build([], undefined, makeTempDirectory())).to.throw(/Automatic shard sizing/);
+        });
+
+        it("should treat shards listed in root.json as required", () => {
+            const directory = makeTempDirectory();
+            ShardedMerkleTree.build(readEntries(TREE_DIRECTORY), undefined, directory, {targetShardSize: 3});
+            expect(ShardedMerkleTree.verify(directory).ok).to.equal(true);
+            fs.unlinkSync(path.join(directory, '7.json'));
+            expect(() => ShardedMerkleTree.fromFiles(directory).getProof(ADDRESS)).to.throw(TreeCorruptError);
+            const report = ShardedMerkleTree.verify(directory);
+            expect(report.ok).to.equal(false);
+            expect(report.errors[0]).to.match(/Shard 7 is listed in root.json but missing/);
+        });
+    });
+
+    describe("interop", () => {
+        it("should export flat proofs that verify against the tree root", async () => {
+            const { data, warnings } = await exportFlat(tree);
+            expect(Object.keys(data)).to.have.lengthOf(20);
+            const { amount, proof } = data[ADDRESS];
+            expect(computeRoot(ethers.utils.solidityKeccak256(['address', 'uint256'], [ADDRESS, amount]), proof)).to.equal(tree.root);
+            expect(warnings.join('\n')).to.match(/Entry fields other than balance are not exported/);
+        });
+
+        it("should reproduce the tree root when importing a flat export", async () => {
+            const { entries, root } = importFlat((await exportFlat(tree)).data);
+            expect(root).to.equal(tree.root);
+            const directory = makeTempDirectory();
+            ShardedMerkleTree.build(entries, tree.shardNybbles, directory);
+            expect(ShardedMerkleTree.fromFiles(directory).root).to.equal(tree.root);
+        });
+
+        it("should export a StandardMerkleTree with sorted-pair proofs", async () => {
+            const { data, root, warnings } = await exportStandard(tree);
+            expect(data.format).to.equal('standard-v1');
+            expect(data.tree).to.have.lengthOf(39);
+            expect(root).to.equal(data.tree[0]);
+            expect(warnings).to.have.lengthOf(2);
+            for(const { value, treeIndex } of data.values) {
+                const proof = [];
+                for(let i = treeIndex; i > 0; i = Math.floor((i - 1) / 2)) {
+                    proof.push(data.tree[i % 2 === 1 ? i + 1 : i - 1]);
+                }
+                const leaf = ethers.utils.keccak256(ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(data.leafEncoding, value)));
+                expect(data.tree[treeIndex]).to.equal(leaf);
+                expect(computeRoot(leaf, proof)).to.equal(root);
+            }
+        });
+
+        it("should import StandardMerkleTree dumps with an address and amount encoding", async () => {
+            const { data } = await exportStandard(tree);
+            const { entries, root } = importStandard(data);
+            expect(root).to.equal(data.tree[0]);
+            expect(entries).to.deep.include([ADDRESS, {balance: tree.getEntry(ADDRESS).balance}]);
+            expect(() => importStandard({...data, leafEncoding: ['uint256', 'address', 'uint256']})).to.throw(/Cannot import/);
+        });
+    });
+
+    describe("rounds", () => {
+        const [FIRST, SECOND, THIRD] = [
+            '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+            '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+            '0x8626f6940E2eb28930eFb4CeF49B2d1F2C9C1199',
+        ];
+
+        async function buildRounds(claims) {
+            const directory = makeTempDirectory();
+            await AirdropRounds.addRound(directory, undefined, [[FIRST, {balance: '100'}], [SECOND, {balance: '200'}]], 1, {claims});
+            await AirdropRounds.addRound(directory, 'top-up', [[SECOND.toLowerCase(), {balance: '50'}], [THIRD, {balance: '25'}]], 1);
+            return directory;
+        }
+
+        it("should record incremental and cumulative totals for each round", async () => {
+            const directory = await buildRounds('incremental');
+            const { claims, rounds } = readJSON('rounds', directory);
+            expect(claims).to.equal('incremental');
+            expect(rounds.map(({name, parent}) => [name, parent])).to.deep.equal([['round-1', null], ['top-up', 'round-1']]);
+            expect(rounds[1]).to.include({total: '75', incrementalTotal: '75', cumulativeTotal: '375', recipients: 3, added: 1, toppedUp: 1});
+            for(const { name, root } of rounds) {
+                expect(ShardedMerkleTree.verify(path.join(directory, name)).ok).to.equal(true);
+                expect(ShardedMerkleTree.fromFiles(path.join(directory, name)).root).to.equal(root);
+            }
+            const topUp = ShardedMerkleTree.fromFiles(path.join(directory, 'top-up'));
+            expect(topUp.getEntry(FIRST)).to.equal(undefined);
+            expect(topUp.getEntry(SECOND)).to.deep.equal({balance: '50', cumulative_balance: '250', incremental_balance: '50'});
+        });
+
+        it("should keep every recipient in each round with cumulative claims", async () => {
+            const directory = await buildRounds('cumulative');
+            const { rounds } = readJSON('rounds', directory);
+            expect(rounds[1]).to.include({total: '375', incrementalTotal: '75', cumulativeTotal: '375', recipients: 3});
+            const topUp = ShardedMerkleTree.fromFiles(path.join(directory, 'top-up'));
+            expect(topUp.getEntry(FIRST)).to.deep.equal({balance: '100', cumulative_balance: '100', incremental_balance: '0'});
+            expect(topUp.getEntry(SECOND)).to.deep.equal({balance: '250', cumulative_balance: '250', incremental_balance: '50'});
+            expect(ShardedMerkleTree.verify(path.join(directory, 'top-up')).ok).to.equal(true);
+        });
+
+        it("should report each recipient's history", async () => {
+            for(const claims of ['incremental', 'cumulative']) {
+                const directory = await buildRounds(claims);
+                const rounds = await AirdropRounds.fromLoader(async (name) => {
+                    const file = path.join(directory, `${name}.json`);
+                    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, {encoding: 'utf-8'})) : null;
+                });
+                const history = await rounds.getHistory(FIRST);
+                expect(history.map(({round, eligible, incremental, cumulative}) => [round, eligible, incremental, cumulative])).to.deep.equal([
+                    ['round-1', true, '100', '100'],
+                    ['top-up', claims === 'cumulative', '0', '100'],
+                ]);
+                expect((await rounds.getHistory(THIRD)).map(({cumulative}) => cumulative)).to.deep.equal(['0', '25']);
+                expect(await AirdropRounds.fromFiles(directory).getHistory(SECOND)).to.deep.equal(await rounds.getHistory(SECOND));
+            }
+        });
+
+        it("should not allow the claim mode or a round to change", async () => {
+            const directory = await buildRounds('incremental');
+            await AirdropRounds.addRound(directory, 'top-up', [[FIRST, {balance: '1'}]], 1)
+                .then(() => expect.fail('expected an error'), (e) => expect(e.message).to.match(/already exists/));
+            await AirdropRounds.addRound(directory, undefined, [[FIRST, {balance: '1'}]], 1, {claims: 'cumulative'})
+                .then(() => expect.fail('expected an error'), (e) => expect(e.message).to.match(/cannot change/));
+            expect(readJSON('rounds', directory).rounds).to.have.lengthOf(2);
+        });
+
+        it("should reject unsafe round names and leaf schema changes", async () => {
+            const directory = await buildRounds('incremental');
+            for(const name of ['..', '.', '../escape', 'a/b', 'a..b', '']) {
+                await AirdropRounds.addRound(directory, name, [[FIRST, {balance: '1'}]], 1)
+                    .then(() => expect.fail('expected an error'), (e) => expect(e.message).to.match(/Invalid round name/));
+            }
+            await AirdropRounds.addRound(directory, 'double', [[FIRST, {balance: '1'}]], 1, {leafSchema: 'address-balance-double'})
+                .then(() => expect.fail('expected an error'), (e) => expect(e.message).to.match(/leaf schema cannot change/));
+            expect(readJSON('rounds', directory).rounds).to.have.lengthOf(2);
+            expect(fs.existsSync(path.join(directory, 'double'))).to.equal(false);
+        });
+    });
+
+    describe("entry points", () => {
+        it("should keep the browser core free of Node dependencies", () => {
+            const source = fs.readFileSync('src/core.js', {encoding: 'utf-8'});
+            expect(source.match(/require\([^)]*\)/g)).to.deep.equal(['require("ethers")']);
+            expect(source).not.to.match(/\bBuffer\b|\bprocess\./);
+        });
+
+        it("should generate the same proofs from the core as from the Node entry", async () => {
+            const core = require('../src/core');
+            const coreTree = await core.ShardedMerkleTree.fromLoader(async (name) => (
+                fs.existsSync(path.join(TREE_DIRECTORY, `${name}.json`)) ? readJSON(name) : null
+            ));
+            for(const [address] of readEntries(TREE_DIRECTORY)) {
+                expect(await coreTree.getProofAsync(address)).to.deep.equal(tree.getProof(address));
+            }
+            expect(await coreTree.getProofAsync(NOT_IN_TREE)).to.be.instanceOf(core.NotEligible);
+        });
+
+        it("should export the same API from the ESM entries", async () => {
+            const esm = await import('../index.mjs');
+            const coreEsm = await import('../src/core.mjs');
+            expect(esm.ShardedMerkleTree).to.equal(ShardedMerkleTree);
+            expect(coreEsm.ShardedMerkleTree).to.equal(require('../src/core').ShardedMerkleTree);
+            expect(Object.keys(coreEsm).sort()).to.deep.equal(Object.keys(require('../src/core')).sort());
+            expect(Object.keys(esm).sort()).to.deep.equal(Object.keys(require('..')).sort());
+        });
+    });
+});
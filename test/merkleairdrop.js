@@ -4,6 +4,8 @@ const { deployments, getNamedAccounts } = require("hardhat");
 const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
 const { ShardedMerkleTree } = require('../src/merkle');
+const { batchClaim } = require('../src/claims');
+const { airdropFundingProposal } = require('../src/proposals');
 
 function setNextBlockTimestamp(ts) {
     return ethers.provider.send('evm_setNextBlockTimestamp', [ts]);
@@ -77,6 +79,8 @@ describe("Merkle Airdrop", () => {
         expect(await token.balanceOf(account.address)).to.equal(balanceBefore.add(entry.balance))
         const index = getIndex(account.address, entry.balance, proof);
         expect(await airdrop.isClaimed(index)).to.equal(true);
+        expect(tree.getClaimIndex(account.address)).to.equal(index);
+        expect((await tree.getClaimStatus(account.address, airdrop)).claimed).to.equal(true);
     });
 
     it("should not allow multiple claims by the same user", async () => {
@@ -129,4 +133,57 @@ describe("Merkle Airdrop", () => {
             )
         ).to.be.revertedWith("Valid proof required");
     });
+
+    it("should be funded by executing the funding proposal", async () => {
+        await token.approve(airdrop.address, 0);
+        const account = (await ethers.getSigners())[1];
+        const [entry, proof] = tree.getProof(account.address);
+        await expect(airdrop.claimTokens(account.address, entry.balance, proof)).to.be.reverted;
+
+        const { targets, values, calldatas } = airdropFundingProposal({token: token.address, airdrop: airdrop.address, tree});
+        const signer = await ethers.getSigner(deployer);
+        await signer.sendTransaction({to: targets[0], value: values[0], data: calldatas[0]});
+        expect(await token.allowance(deployer, airdrop.address)).to.equal(tree.total);
+        await airdrop.claimTokens(account.address, entry.balance, proof);
+        expect(await airdrop.isClaimed(tree.getClaimIndex(account.address))).to.equal(true);
+    });
+
+    it("should batch-claim for recipients that have not claimed", async () => {
+        const account = (await ethers.getSigners())[1];
+        const [entry, proof] = tree.getProof(account.address);
+        await airdrop.claimTokens(account.address, entry.balance, proof);
+        const addresses = [];
+        for await (const [address] of tree.entriesAsync()) {
+            addresses.push(address);
+        }
+
+        const saved = [];
+        const state = await batchClaim(tree, airdrop, addresses, {
+            maxGas: 200000,
+            save: (progress) => saved.push(JSON.parse(JSON.stringify(progress))),
+        });
+        expect(Object.keys(state.claimed)).to.have.lengthOf(addresses.length - 1);
+        expect(state.skipped).to.deep.equal({[account.address.toLowerCase()]: 'Already claimed'});
+        expect(state.failed).to.deep.equal({});
+        expect(saved.length).to.be.greaterThan(2);
+        for(const address of addresses) {
+            expect(await airdrop.isClaimed(tree.getClaimIndex(address))).to.equal(true);
+        }
+        expect(await token.allowance(deployer, airdrop.address)).to.equal(0);
+    });
+
+    it("should resume batch claims from saved state", async () => {
+        const addresses = [];
+        for await (const [address] of tree.entriesAsync()) {
+            addresses.push(address);
+        }
+        const first = await batchClaim(tree, airdrop, addresses.slice(0, 3));
+        const hashes = {...first.claimed};
+        const state = await batchClaim(tree, airdrop, addresses, {state: first});
+        expect(Object.keys(state.claimed)).to.have.lengthOf(addresses.length);
+        expect(state.skipped).to.deep.equal({});
+        for(const [address, hash] of Object.entries(hashes)) {
+            expect(state.claimed[address]).to.equal(hash);
+        }
+    });
 });
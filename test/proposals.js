@@ -0,0 +1,24 @@
+const { expect } = require("chai");
+const { ethers } = require('ethers');
+const { ShardedMerkleTree } = require('../src/merkle');
+const { airdropFundingProposal } = require('../src/proposals');
+
+const TOKEN = '0xC18360217D8F7Ab5e7c516566761Ea12Ce7F9D72';
+const AIRDROP = '0x000000000000000000000000000000000000a1d0';
+
+describe("Proposals", () => {
+    it("should approve the airdrop for the tree total", () => {
+        const tree = ShardedMerkleTree.fromFiles('airdrops/hardhat');
+        const { targets, values, calldatas, description } = airdropFundingProposal({token: TOKEN, airdrop: AIRDROP, tree, title: 'test airdrop', recipients: 20});
+        expect(targets).to.deep.equal([TOKEN]);
+        expect(values).to.deep.equal([0]);
+        const erc20 = new ethers.utils.Interface(['function approve(address spender, uint256 amount)']);
+        const [spender, amount] = erc20.decodeFunctionData('approve', calldatas[0]);
+        expect(spender).to.equal(ethers.utils.getAddress(AIRDROP));
+        expect(amount.eq(tree.total)).to.equal(true);
+        expect(description.split('\n')[0]).to.equal('# Fund the test airdrop');
+        expect(description).to.include(`Merkle root: ${tree.root}`);
+        expect(description).to.include(`Total: ${tree.total.toString()} (25000000.0 tokens)`);
+        expect(description).to.include('Recipients: 20');
+    });
+});
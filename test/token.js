@@ -1,5 +1,3 @@
-const config = require('../config');
-
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { deployments, getNamedAccounts } = require("hardhat");
@@ -49,7 +47,6 @@ describe("ENS token", () => {
         ({deployer} = await getNamedAccounts());
         const signers = await ethers.getSigners();
         tree = ShardedMerkleTree.fromFiles('airdrops/hardhat');
-        config.AIRDROP_MERKLE_ROOT = tree.root;
         await deployments.fixture(['merkle']);
         token = await ethers.getContract("ENSToken");
     });
@@ -1,4 +1,4 @@
-const config = require('../config');
+const { getConfig } = require('../src/config');
 
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
@@ -31,9 +31,10 @@ describe("TokenLock", () => {
         const signers = await ethers.getSigners();
         account2 = signers[1];
         lockAmount = ethers.BigNumber.from(10).pow(18).mul(1000000);
-        unlockBegin = new Date(config.UNLOCK_BEGIN).getTime() / 1000;
-        unlockCliff = new Date(config.UNLOCK_CLIFF).getTime() / 1000;
-        unlockEnd = new Date(config.UNLOCK_END).getTime() / 1000;
+        const config = getConfig('hardhat');
+        unlockBegin = config.UNLOCK_BEGIN;
+        unlockCliff = config.UNLOCK_CLIFF;
+        unlockEnd = config.UNLOCK_END;
         await deployments.fixture(['ENSToken', 'TokenLock']);
         token = await ethers.getContract("ENSToken");
         tokenLock = await ethers.getContract("TokenLock");
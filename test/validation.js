@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ShardedMerkleTree } = require('../src/merkle');
+const { EntryValidator, ValidationError } = require('../src/validation');
+
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+function row(owner, past_tokens, future_tokens = '0') {
+    return [owner, {past_tokens, future_tokens}, {past_tokens, future_tokens}];
+}
+
+describe("EntryValidator", () => {
+    let warnings;
+
+    function makeValidator(strict) {
+        warnings = [];
+        return new EntryValidator({strict, warn: (message) => warnings.push(message)});
+    }
+
+    it("should accept valid rows", () => {
+        const validator = makeValidator(true);
+        const [owner, entry] = validator.validate(...row(ADDRESS, '100', '23'), 1);
+        expect(owner).to.equal(ADDRESS);
+        expect(entry.balance).to.equal('123');
+        const report = validator.finish();
+        expect(report.accepted).to.equal(1);
+        expect(report.dust).to.equal('0');
+    });
+
+    it("should truncate fractional amounts and tally dust in lenient mode", () => {
+        const validator = makeValidator(false);
+        expect(validator.validate(...row(ADDRESS, '100.75', '1.5'), 1)[1].balance).to.equal('101');
+        const report = validator.finish();
+        expect(report.dust).to.equal('1.25');
+        expect(report.modified).to.have.lengthOf(1);
+        expect(report.modified[0].changes).to.have.lengthOf(2);
+        expect(warnings).to.have.lengthOf(2);
+    });
+
+    it("should reject invalid addresses and non-positive balances in lenient mode", () => {
+        const validator = makeValidator(false);
+        expect(validator.validate(...row('0x1234', '1'), 1)).to.equal(undefined);
+        expect(validator.validate(...row(ADDRESS, '0'), 2)).to.equal(undefined);
+        expect(validator.validate(...row(ADDRESS, '-5'), 3)).to.equal(undefined);
+        expect(validator.validate(...row(ADDRESS, '1e+21'), 4)).to.equal(undefined);
+        const report = validator.finish();
+        expect(report.rejected.map(({line}) => line)).to.deep.equal([1, 2, 3, 4]);
+        expect(report.accepted).to.equal(0);
+    });
+
+    it("should allow duplicates differing in case to be merged in lenient mode", () => {
+        const validator = makeValidator(false);
+        const [, first] = validator.validate(...row(ADDRESS, '10'), 1);
+        const [, second] = validator.validate(...row(ADDRESS.toLowerCase(), '5'), 2);
+        expect(validator.merge(first, second, ADDRESS).balance).to.equal('15');
+        expect(validator.merge(first, second, ADDRESS).balance).to.equal('15');
+        expect(validator.finish().modified).to.deep.equal([{address: ADDRESS, changes: ['Merged duplicate entries']}]);
+        expect(warnings).to.have.lengthOf(1);
+    });
+
+    it("should fail on any problem in strict mode", () => {
+        const validator = makeValidator(true);
+        validator.validate(...row(ADDRESS, '10'), 1);
+        expect(validator.validate(...row('0x0000000000000000000000000000000000000001', '1.5'), 2)).to.equal(undefined);
+        expect(validator.validate(...row('0x0000000000000000000000000000000000000002', '-1'), 3)).to.equal(undefined);
+        expect(() => validator.finish()).to.throw(ValidationError, /2 invalid input rows/);
+        expect(warnings).to.have.lengthOf(0);
+    });
+
+    it("should fail on duplicate owners in strict mode before a tree is written", () => {
+        const validator = makeValidator(true);
+        const entries = [
+            validator.validate(...row(ADDRESS, '10'), 1),
+            validator.validate(...row(ADDRESS.toLowerCase(), '5'), 2),
+        ];
+        validator.finish();
+        const directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'validation-')), 'tree');
+        try {
+            let error;
+            try {
+                ShardedMerkleTree.build(entries, 1, directory, {merge: validator.merge});
+            } catch(e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(ValidationError);
+            expect(error.report.errors).to.deep.equal([{address: ADDRESS, reason: 'Duplicate owner'}]);
+            expect(fs.existsSync(directory)).to.equal(false);
+        } finally {
+            fs.rmSync(path.dirname(directory), {recursive: true, force: true});
+        }
+    });
+
+    it("should reject JSON numbers too large or precise to have been read exactly", () => {
+        const validator = makeValidator(true);
+        const amounts = JSON.parse('[12345678901234567891, 1e21, 0.12345678901234567891, 9007199254740991, 1.5]');
+        amounts.forEach((amount, i) => validator.validate(ADDRESS, {amount}, {}, i + 1));
+        let error;
+        try {
+            validator.finish();
+        } catch(e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.report.errors.map(({line}) => line)).to.deep.equal([1, 2, 3, 5]);
+        expect(error.report.errors[0].reason).to.match(/^Imprecise amount 12345678901234567000: .* quote it as a string$/);
+        expect(error.report.accepted).to.equal(1);
+
+        const lenient = makeValidator(false);
+        expect(lenient.validate(ADDRESS, {amount: 12345678901234567891}, {}, 1)).to.equal(undefined);
+        expect(lenient.finish().rejected).to.have.lengthOf(1);
+    });
+
+    it("should convert amounts with decimals exactly", () => {
+        const validator = new EntryValidator({decimals: 18, warn: () => {}});
+        expect(validator.validate(ADDRESS, {amount: '1.000000000000000001'}, {}, 1)[1].balance).to.equal('1000000000000000001');
+        expect(validator.validate(ADDRESS.toLowerCase(), {amount: '0.5'}, {}, 2)[1].balance).to.equal('500000000000000000');
+        expect(validator.validate(ADDRESS, {amount: '2.0000000000000000015'}, {}, 3)[1].balance).to.equal('2000000000000000001');
+        expect(validator.finish().dust).to.equal('0.5');
+    });
+});
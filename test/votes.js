@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers, deployments, getNamedAccounts } = require("hardhat");
+const { getVotingPower, createTransferIndex } = require('../api/votes');
+
+describe("Voting power", () => {
+    let options;
+    let token;
+    let deployer;
+    let alice;
+    let bob;
+    let block;
+    const delegated = ethers.utils.parseEther('1000');
+    const locked = ethers.utils.parseEther('300');
+    let balance;
+
+    before(async () => {
+        ({deployer, alice, bob} = await getNamedAccounts());
+        await deployments.fixture(['ENSToken', 'ens-contracts', 'ERC20MultiDelegate', 'TokenLock']);
+        token = await ethers.getContract('ENSToken');
+        const tokenLock = await ethers.getContract('TokenLock');
+        const multiDelegate = await ethers.getContract('ERC20MultiDelegate');
+        const multicall = await (await ethers.getContractFactory('MockMulticall3')).deploy();
+        options = {
+            token: token.address,
+            tokenLock: tokenLock.address,
+            multiDelegate: multiDelegate.address,
+            multiDelegateBlock: 0,
+            multicall: multicall.address,
+        };
+
+        await token.delegate(deployer);
+        await token.approve(multiDelegate.address, delegated);
+        await multiDelegate.delegateMulti([], [alice], [delegated]);
+        await token.approve(tokenLock.address, locked);
+        await tokenLock.lock(bob, locked);
+        balance = await token.balanceOf(deployer);
+        block = await ethers.provider.getBlockNumber();
+        await ethers.provider.send('evm_mine', []);
+    });
+
+    it("should return votes at the block", async () => {
+        const power = await getVotingPower(ethers.provider, [deployer, alice, bob], block, options);
+        expect(power.map((amount) => amount.toString())).to.deep.equal([balance.toString(), delegated.toString(), '0']);
+    });
+
+    it("should add tokens delegated through ERC20MultiDelegate and locked in TokenLock", async () => {
+        const power = await getVotingPower(ethers.provider, [deployer, alice, bob], block, {...options, include: ['multidelegate', 'tokenlock']});
+        expect(power.map((amount) => amount.toString())).to.deep.equal([
+            balance.add(delegated).toString(),
+            delegated.toString(),
+            locked.toString(),
+        ]);
+    });
+
+    it("should read balances as of the block", async () => {
+        await token.transfer(alice, ethers.utils.parseEther('1'));
+        await ethers.provider.send('evm_mine', []);
+        const power = await getVotingPower(ethers.provider, [deployer], block, {...options, include: ['multidelegate', 'tokenlock']});
+        expect(power[0].toString()).to.equal(balance.add(delegated).toString());
+    });
+
+    it("should only fetch logs for new confirmed blocks when given a transfer index", async () => {
+        const ranges = [];
+        const provider = {
+            getBlockNumber: () => ethers.provider.getBlockNumber(),
+            call: (transaction, blockTag) => ethers.provider.call(transaction, blockTag),
+            getLogs: (filter) => {
+                ranges.push([filter.fromBlock, filter.toBlock]);
+                return ethers.provider.getLogs(filter);
+            },
+        };
+        const latest = await ethers.provider.getBlockNumber();
+        // Only blocks up to `block` are confirmed.
+        const indexed = {...options, include: ['multidelegate'], transferIndex: createTransferIndex(), confirmations: latest - block};
+        const expected = await getVotingPower(ethers.provider, [deployer, alice], block, {...options, include: ['multidelegate']});
+        for(let i = 0; i < 2; i++) {
+            const power = await getVotingPower(provider, [deployer, alice], block, indexed);
+            expect(power.map((amount) => amount.toString())).to.deep.equal(expected.map((amount) => amount.toString()));
+        }
+        expect(ranges.splice(0)).to.deep.equal([[0, block]]);
+
+        // Unconfirmed blocks are fetched again on every call, so a reorganisation cannot hide their transfers.
+        await getVotingPower(provider, [deployer], latest - 1, indexed);
+        await getVotingPower(provider, [deployer], latest - 1, indexed);
+        expect(ranges.splice(0)).to.deep.equal([[block + 1, latest - 1], [block + 1, latest - 1]]);
+
+        await getVotingPower(provider, [deployer], latest - 1, {...indexed, confirmations: 1});
+        await getVotingPower(provider, [deployer], latest - 1, {...indexed, confirmations: 1});
+        expect(ranges).to.deep.equal([[block + 1, latest - 1]]);
+    });
+
+    it("should reject blocks that have not been mined", async () => {
+        const latest = await ethers.provider.getBlockNumber();
+        const error = await getVotingPower(ethers.provider, [deployer], latest, options).catch((e) => e);
+        expect(error).to.be.instanceOf(RangeError);
+    });
+});